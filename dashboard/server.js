@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * 📊 N8N Smart Buffer - Monitoring Dashboard
+ * Live view of buffers, decisions, intents, fallbacks and alerts
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+
+const { getConfig } = require('../nodes/config-loader.js');
+
+const DEFAULT_WINDOW_MS = 60000;
+const STREAM_INTERVAL_MS = 2000;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function basicAuth(username, password) {
+  return (req, res, next) => {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+
+    if (scheme === 'Basic' && encoded) {
+      const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const user = decoded.slice(0, separator);
+      const pass = decoded.slice(separator + 1);
+
+      if (separator !== -1 && safeEqual(user, username) && safeEqual(pass, password)) {
+        next();
+        return;
+      }
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="smart-buffer dashboard"');
+    res.status(401).json({ error: 'Authentication required' });
+  };
+}
+
+function countOf(samples) {
+  return samples.reduce((sum, sample) => sum + sample.value, 0);
+}
+
+async function collectSnapshot({ config, bufferManager, metrics, alertEngine }, windowMs = DEFAULT_WINDOW_MS) {
+  const intents = Object.keys(config.semantic.patterns.intents || {}).concat('general');
+  const decisions = ['process_immediately', 'wait', 'rate_limited'];
+
+  const [activeBuffers, decisionSeries, intentSeries, fallbackSeries, alerts] = await Promise.all([
+    bufferManager ? bufferManager.activeCount().catch(() => null) : null,
+    Promise.all(decisions.map(decision => metrics.realtime(`decision:${decision}`, windowMs))),
+    Promise.all(intents.map(intent => metrics.realtime(`intent:${intent}`, windowMs))),
+    metrics.realtime('fallback', windowMs),
+    alertEngine ? alertEngine.sharedAlerts() : []
+  ]);
+
+  const decisionCounts = {};
+  decisions.forEach((decision, index) => {
+    decisionCounts[decision] = countOf(decisionSeries[index]);
+  });
+
+  const intentDistribution = {};
+  intents.forEach((intent, index) => {
+    const count = countOf(intentSeries[index]);
+    if (count > 0) {
+      intentDistribution[intent] = count;
+    }
+  });
+
+  const totalDecisions = Object.values(decisionCounts).reduce((sum, count) => sum + count, 0);
+
+  return {
+    timestamp: Date.now(),
+    windowMs,
+    activeBuffers,
+    decisionsPerSecond: totalDecisions / (windowMs / 1000),
+    decisions: decisionCounts,
+    intentDistribution,
+    fallbackRate: fallbackSeries.length > 0 ? (countOf(fallbackSeries) / fallbackSeries.length) * 100 : 0,
+    alerts
+  };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} [deps.config] - Industry configuration
+ * @param {MetricsCollector} deps.metrics
+ * @param {BufferManager} [deps.bufferManager]
+ * @param {AlertEngine} [deps.alertEngine]
+ * @param {PrometheusExporter} [deps.exporter] - Serves /metrics when provided
+ * @param {object} [deps.auth] - { username, password } enables basic auth
+ */
+function createDashboard(deps) {
+  const context = { ...deps, config: deps.config || getConfig() };
+  const app = express();
+
+  app.use(cors());
+
+  if (context.auth) {
+    app.use(basicAuth(context.auth.username, context.auth.password));
+  }
+
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', config: context.config.name });
+  });
+
+  if (context.exporter) {
+    app.get('/metrics', context.exporter.handler());
+  }
+
+  app.get('/api/snapshot', async (req, res) => {
+    try {
+      res.json(await collectSnapshot(context));
+    } catch (error) {
+      res.status(503).json({ error: error.message });
+    }
+  });
+
+  // Server-Sent Events: pushes a snapshot every few seconds
+  app.get('/api/stream', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const push = async () => {
+      try {
+        const snapshot = await collectSnapshot(context);
+        res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+      } catch (error) {
+        res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+      }
+    };
+
+    push();
+    const timer = setInterval(push, context.streamInterval || STREAM_INTERVAL_MS);
+    req.on('close', () => clearInterval(timer));
+  });
+
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  return app;
+}
+
+async function main() {
+  require('dotenv').config();
+
+  if (process.env.DASHBOARD_ENABLED === 'false') {
+    console.log('ℹ️  Dashboard disabled (DASHBOARD_ENABLED=false)');
+    return;
+  }
+
+  const Redis = require('ioredis');
+  const { BufferManager } = require('../nodes/buffer-manager.js');
+  const { MetricsCollector } = require('../nodes/metrics-collector.js');
+  const { AlertEngine } = require('../nodes/alert-engine.js');
+
+  let auth = null;
+  if (process.env.DASHBOARD_AUTH_REQUIRED === 'true') {
+    if (!process.env.DASHBOARD_PASSWORD) {
+      throw new Error('DASHBOARD_AUTH_REQUIRED is true but DASHBOARD_PASSWORD is empty');
+    }
+    auth = {
+      username: process.env.DASHBOARD_USERNAME || 'admin',
+      password: process.env.DASHBOARD_PASSWORD
+    };
+  }
+
+  const config = getConfig();
+  const redis = new Redis(config.redis.url);
+  // Records no samples: reads the alerts the service's engine shares in Redis
+  const alertEngine = new AlertEngine(config, { redis });
+  const app = createDashboard({
+    config,
+    auth,
+    alertEngine,
+    bufferManager: new BufferManager(config, { redis }),
+    metrics: new MetricsCollector(config, { redis })
+  });
+
+  const port = parseInt(process.env.DASHBOARD_PORT, 10) || 3000;
+  app.listen(port, () => {
+    console.log(`📊 Smart Buffer dashboard listening on http://localhost:${port}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ Dashboard failed to start: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createDashboard, collectSnapshot, basicAuth };
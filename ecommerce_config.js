@@ -0,0 +1,70 @@
+/**
+ * 🛒 E-commerce Configuration for Smart Buffer
+ * Order, shipping and returns conversations for online stores
+ *
+ * Extends the generic preset, so timing, buffer, circuit breaker, metrics and
+ * security settings are shared with every other industry.
+ */
+
+module.exports = {
+  extends: 'generic',
+
+  name: 'E-commerce Configuration',
+  version: '1.0.0',
+  description: 'Semantic patterns and timing optimized for online store support',
+
+  semantic: {
+    patterns: {
+      // 🔍 Fragment patterns (messages that likely need more context)
+      fragments: {
+        $append: [
+          /^(pedido|compra|envio|producto|talle|color|stock|factura)$/i,
+          /^(devolver|devolucion|reclamar|reembolso)$/i,
+          /^(mi pedido|el envio|la compra|el producto)$/i
+        ]
+      },
+
+      // ✅ Complete patterns (process immediately)
+      complete: {
+        $append: [
+          /(donde esta|estado de|seguimiento de) (mi |el |la )?(pedido|compra|envio)/i,
+          /(quiero|necesito) (devolver|cambiar) .+/i,
+          /(tienen|hay) stock (de|del) .+/i,
+          /(cuanto|cuando) (tarda|llega) (el |mi )?(envio|pedido)/i
+        ]
+      },
+
+      // 🎯 Intent classification patterns
+      // Replaced rather than merged: the first match wins, and inherited intents
+      // would otherwise run first ("hola, donde esta mi pedido" read as a greeting)
+      intents: {
+        $replace: {
+          cancellation: /cancelar|anular|cancel/i,
+          returns: /devolver|devolucion|reembolso|reintegro|garantia|return|refund/i,
+          modification: /cambiar|modificar|cambio de (talle|color|direccion)|change/i,
+          payment: /pago|pague|tarjeta|transferencia|factura|payment|invoice/i,
+          order_status: /pedido|compra|envio|seguimiento|tracking|llega|llego|order|shipping/i,
+          information: /precio|costo|stock|talle|medidas|horario|metodos de pago|cuotas|price|size/i,
+          support: /ayuda|problema|reclamo|no funciona|help|issue|problem|not working/i,
+          greeting: /hola|buenos|buenas|buen dia|hello|\bhi\b|good (morning|afternoon|evening)/i,
+          farewell: /gracias|chau|hasta luego|adios|nos vemos|thanks|thank you|bye/i,
+          confirmation: /^(si|sí|ok|perfecto|excelente|listo|dale|yes|sure|great)[.!]*$/i,
+          negation: /^(no|nunca|para nada|nope|never)[.!]*$/i
+        }
+      },
+
+      // 📊 Entity extraction patterns
+      entities: {
+        order_id: /#\d{4,10}\b|\b(pedido|orden|order)\s*#?\s*\d{4,10}\b/gi,
+        tracking: /\b[A-Z]{2}\d{9}[A-Z]{2}\b/g,
+        price: /\$\s?\d+([.,]\d+)*/g
+      }
+    }
+  },
+
+  timing: {
+    // Order problems are answered fast; store info can wait for the full question
+    urgentIntents: ['order_status', 'cancellation', 'modification', 'returns'],
+    simpleIntents: ['greeting', 'farewell', 'information']
+  }
+};
@@ -22,16 +22,49 @@ N8N_PROTOCOL=http
 SMART_BUFFER_CONFIG=medical
 SMART_BUFFER_DEBUG=false
 
+# Values below override the industry config when set (see `node show_config_script.js`)
+
 # Buffer Settings
 BUFFER_TTL=300
 BUFFER_MAX_SIZE=3
 BUFFER_MAX_SIZE_KB=50
 
-# Timing Configuration (milliseconds)
+# Buffer encryption at rest (AES-256-GCM)
+# Comma-separated keyId:base64Key pairs with 32-byte keys, generate one with:
+#   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+# Old keys stay listed (readable) until `node reencrypt_buffers_script.js` has run
+BUFFER_ENCRYPTION_KEYS=
+BUFFER_ENCRYPTION_ACTIVE_KEY=
+
+# PII redaction (security.redaction): key for hashed entities in logs, metrics and alerts
+# Share it across processes so hashes correlate; without it each process uses a random key
+PII_HASH_SECRET=
+
+# Timing Configuration (milliseconds), applied to the TIMING_PROFILE below
 TIMING_URGENT=2000
 TIMING_SIMPLE=3000
 TIMING_COMPLEX=4000
 
+# Timing profile: aggressive, balanced, conservative
+TIMING_PROFILE=balanced
+
+# Clinic timezone for relative dates ("mañana a las 5") and resolved ISO datetimes
+CLINIC_TIMEZONE=America/Argentina/Buenos_Aires
+
+# Standalone buffering service (node service/server.js)
+# Ready buffers are POSTed to CALLBACK_URL; with CALLBACK_SECRET each request is
+# signed in X-Smart-Buffer-Signature (HMAC-SHA256, see nodes/flush-callback.js)
+CALLBACK_URL=
+CALLBACK_SECRET=
+SERVICE_PORT=3100
+# Required as ?token= or X-Smart-Buffer-Token on POST /webhook when set
+SERVICE_WEBHOOK_TOKEN=
+# Answers the WhatsApp Cloud API webhook verification on GET /webhook
+WHATSAPP_VERIFY_TOKEN=
+# Mount /metrics (Prometheus), evaluate alert triggers and run the data retention purge in the service
+SERVICE_METRICS_ENABLED=true
+SERVICE_RETENTION_ENABLED=false
+
 # Circuit Breaker Settings
 CIRCUIT_BREAKER_REDIS_THRESHOLD=3
 CIRCUIT_BREAKER_REDIS_TIMEOUT=30000
@@ -43,6 +76,7 @@ ML_ENABLED=false
 ML_SERVICE_URL=
 ML_API_KEY=
 ML_MODEL_NAME=consultorio-intent-v1
+# ML_TIMEOUT applies to every ml.timeouts call
 ML_TIMEOUT=2000
 
 # Monitoring & Alerts
@@ -54,8 +88,12 @@ METRICS_RETENTION_AGGREGATED=604800
 ALERTS_ENABLED=true
 ALERT_WEBHOOK_URL=
 ALERT_SLACK_TOKEN=
+ALERT_SLACK_CHANNEL=#alerts
 ALERT_TELEGRAM_BOT_TOKEN=
 ALERT_TELEGRAM_CHAT_ID=
+# Override channel API base URLs (self-hosted or local stand-ins)
+# ALERT_SLACK_API_URL=
+# ALERT_TELEGRAM_API_URL=
 
 # Dashboard Configuration  
 DASHBOARD_ENABLED=true
@@ -73,13 +111,16 @@ DEBUG_BUFFER_OPERATIONS=false
 
 # Performance Tuning
 MAX_CONCURRENT_BUFFERS=100
+# CLEANUP_INTERVAL is in ms (buffer.cleanupInterval is stored in seconds)
 CLEANUP_INTERVAL=60000
 HEALTH_CHECK_INTERVAL=30000
 
 # Security
-RATE_LIMIT_ENABLED=true
-RATE_LIMIT_WINDOW=60000
-RATE_LIMIT_MAX_REQUESTS=100
+# Rate limiting defaults come from security.rateLimiting in the industry config
+# (medical: 30 requests per 60s per chat). Set these only to override it.
+# RATE_LIMIT_ENABLED=true
+# RATE_LIMIT_WINDOW=60000
+# RATE_LIMIT_MAX_REQUESTS=30
 
 # Industry-specific Configuration
 # Options: medical, ecommerce, generic, custom
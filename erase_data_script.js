@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * 🗑️ N8N Smart Buffer - Data Erasure & Retention Purge
+ * Erases one patient's data (by chatId, DNI or phone) or runs the retention purge
+ *
+ * Usage:
+ *   node erase_data_script.js --chat-id 5491122334455@c.us
+ *   node erase_data_script.js --dni 30123456 --phone "+54 11 2233-4455"
+ *   node erase_data_script.js --purge
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const { DataRetention } = require('./nodes/data-retention.js');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  const flags = { '--chat-id': 'chatId', '--dni': 'dni', '--phone': 'phone' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--purge') {
+      args.purge = true;
+    } else if (flags[argv[i]]) {
+      args[flags[argv[i]]] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.purge && !args.chatId && !args.dni && !args.phone) {
+    log('Usage: node erase_data_script.js [--chat-id <id>] [--dni <dni>] [--phone <phone>] | --purge', 'yellow');
+    process.exit(1);
+  }
+
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL is not configured');
+  }
+
+  const Redis = require('ioredis');
+  const redis = new Redis(process.env.REDIS_URL);
+  const retention = new DataRetention(undefined, { redis });
+
+  try {
+    if (args.purge) {
+      log('🧹 Running data retention purge...', 'blue');
+      const report = await retention.purge();
+      log(JSON.stringify(report, null, 2));
+      log('✅ Purge complete', 'green');
+    } else {
+      log('🗑️  Erasing patient data...', 'blue');
+      const report = await retention.erase(args);
+      log(JSON.stringify(report, null, 2));
+      log(`✅ Erased ${report.buffers.messages} buffered messages, ${report.logs} log entries, ` +
+        `${report.contextKeys} context keys, ${report.rateLimitKeys} rate-limit keys`, 'green');
+    }
+  } finally {
+    await redis.quit();
+  }
+}
+
+main().catch(error => {
+  log(`\n❌ Erasure failed: ${error.message}`, 'red');
+  process.exit(1);
+});
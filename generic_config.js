@@ -0,0 +1,90 @@
+/**
+ * 🌐 Generic Business Configuration for Smart Buffer
+ * Medical timing, buffer and resilience settings without the medical vocabulary
+ *
+ * Only the differences from the medical preset are listed (see `extends`
+ * merge rules in nodes/config-loader.js). Use it as the base for new industries.
+ */
+
+module.exports = {
+  extends: 'medical',
+
+  name: 'Generic Business Configuration',
+  version: '1.0.0',
+  description: 'Spanish/English patterns for general customer conversations',
+
+  semantic: {
+    patterns: {
+      // 🔍 Fragment patterns (messages that likely need more context)
+      fragments: {
+        $remove: [
+          /^(doctor|doctora|dr|dra)$/i,
+          /^(me duele|tengo dolor|siento|me molesta)$/i,
+          /^(obra social|prepaga|osde|swiss|galeno)$/i
+        ],
+        $append: [
+          /^(i want|i need|can i|how do|what|where|when)$/i,
+          /^(for|at|on|in|the|a|an)$/i,
+          /^(order|price|hours|booking|appointment)$/i
+        ]
+      },
+
+      // ✅ Complete patterns (process immediately)
+      complete: {
+        $remove: [
+          /(donde (esta|queda)|cual es la direccion|ubicacion del) consultorio/i,
+          /(acepta|atiende|toma) (obra social|prepaga|osde|swiss medical)/i,
+          /me duele .+ (desde|hace|por)/i,
+          /tengo (dolor|molestia|problema) (en|de) .+/i,
+          /^(hola|buenos dias|buenas tardes|buenas noches)( doctor| doctora)?$/i
+        ],
+        $append: [
+          /(donde (esta|queda)|cual es la direccion) .+/i,
+          /^(hola|buenos dias|buenas tardes|buenas noches)$/i,
+          /i (want|need) to (book|schedule|cancel|change) .+/i,
+          /what (is|are) (the )?(price|cost|hours|address) .+/i,
+          /^(hi|hello|good (morning|afternoon|evening))$/i,
+          /^(thanks|thank you|ok|great|perfect)$/i,
+          /^(bye|goodbye|see you)$/i
+        ]
+      },
+
+      // 🎯 Intent classification patterns (base intents keep their priority)
+      intents: {
+        appointment: /turno|cita|agendar|reservar|book|appointment|schedule|reserv/i,
+        cancellation: /cancelar|anular|cancel/i,
+        modification: /cambiar|modificar|reagendar|reprogramar|change|reschedule/i,
+        information: /precio|costo|tarifa|horario|ubicacion|direccion|price|cost|hours|address|info/i,
+        medical_query: null,
+        greeting: /hola|buenos|buenas|buen dia|hello|\bhi\b|good (morning|afternoon|evening)/i,
+        farewell: /gracias|chau|hasta luego|adios|nos vemos|thanks|thank you|bye/i,
+
+        // Whole-message answers only, so "no llegó" or "sin stock" keep their real intent
+        confirmation: /^(si|sí|ok|perfecto|excelente|listo|dale|yes|sure|great)[.!]*$/i,
+        negation: /^(no|nunca|para nada|nope|never)[.!]*$/i,
+        support: /ayuda|problema|reclamo|no funciona|help|issue|problem|not working/i
+      },
+
+      // 📊 Entity extraction patterns
+      entities: {
+        insurance: null,
+        specialties: null,
+        symptoms: null,
+        email: /\b[\w.+-]+@[\w-]+\.[\w.]+\b/g
+      },
+
+      // The medical en/pt packs carry medical vocabulary; this preset's single pack is bilingual
+      locales: null
+    }
+  },
+
+  security: {
+    redaction: {
+      entities: {
+        insurance: null,
+        symptoms: null,
+        email: 'hash'
+      }
+    }
+  }
+};
@@ -9,6 +9,177 @@ module.exports = {
   description: 'Semantic patterns and timing optimized for medical consultations',
   
   semantic: {
+    // 🌍 Language detection (per message, remembered per chat)
+    language: {
+      default: 'es',               // Pack used by `patterns` below and when nothing is detected
+      detect: ['es', 'en', 'pt']   // Candidate languages
+    },
+    
+    // 📅 Entity resolution (structured values for booking)
+    resolution: {
+      timezone: 'America/Argentina/Buenos_Aires',   // Relative dates and ISO datetimes
+      assumePmBefore: 8,                            // "a las 5" → 17:00
+      
+      // E.164 rules for +54: mobiles are +54 9 <area> <number>, dialled locally as <area> 15 <number>
+      phone: {
+        countryCode: '54',
+        mobilePrefix: '9',
+        localMobilePrefix: '15',
+        trunkPrefix: '0',
+        defaultAreaCode: '11',
+        nationalLength: 10
+      },
+      
+      // Plausible DNI numbers
+      dni: {
+        min: 1000000,
+        max: 99999999
+      },
+      
+      // Match prefix (accents folded) → canonical id
+      canonical: {
+        insurance: {
+          osde: 'osde',
+          'swiss medical': 'swiss_medical',
+          swiss: 'swiss_medical',
+          galeno: 'galeno',
+          medicus: 'medicus',
+          sancor: 'sancor_salud',
+          federada: 'federada_salud',
+          ioma: 'ioma',
+          pami: 'pami',
+          unimed: 'unimed',
+          amil: 'amil',
+          bradesco: 'bradesco_saude',
+          sulamerica: 'sulamerica',
+          hapvida: 'hapvida'
+        },
+        specialties: {
+          clinic: 'general_practice',
+          cardiolog: 'cardiology',
+          dermatolog: 'dermatology',
+          ginecolog: 'gynecology',
+          gynecolog: 'gynecology',
+          pediatr: 'pediatrics',
+          psicolog: 'psychology',
+          psycholog: 'psychology',
+          traumatolog: 'orthopedics',
+          ortoped: 'orthopedics',
+          orthoped: 'orthopedics',
+          oftalmolog: 'ophthalmology',
+          ophthalmolog: 'ophthalmology'
+        }
+      }
+    },
+    
+    // 🧹 Text normalization before pattern matching (original text is never changed)
+    normalization: {
+      enabled: true,
+      foldAccents: true,           // "miércoles" matches /miercoles/
+      collapseRepeats: true,       // "holaaaa" → "hola"
+      stripEmojis: true,           // Emojis not listed below are dropped
+      
+      // Whole words only, matched after accents are folded
+      abbreviations: {
+        q: 'que',
+        k: 'que',
+        xq: 'porque',
+        pq: 'porque',
+        porq: 'porque',
+        tmb: 'tambien',
+        tb: 'tambien',
+        x: 'por',
+        xa: 'para',
+        pa: 'para',
+        xfa: 'por favor',
+        pf: 'por favor',
+        pls: 'por favor',
+        dnd: 'donde',
+        cdo: 'cuando',
+        cto: 'cuanto',
+        hs: 'horas',
+        tngo: 'tengo',
+        nec: 'necesito',
+        mñn: 'mañana',
+        bs: 'buenas',
+        grax: 'gracias',
+        msj: 'mensaje'
+      },
+      
+      emojis: {
+        '👍': 'ok',
+        '👌': 'ok',
+        '✅': 'ok',
+        '🙏': 'gracias',
+        '👋': 'hola',
+        '👎': 'no',
+        '❌': 'no'
+      },
+      
+      // Words within maxDistance edits of a pattern keyword take its spelling ("tunro" → "turno")
+      fuzzy: {
+        enabled: true,
+        minLength: 5,
+        maxDistance: 1
+      },
+      
+      // Real words one edit away from a keyword; fuzzy matching leaves them as written
+      keep: ['dolar', 'dolares', 'lista', 'listas', 'cuento', 'cuenta', 'cuentas', 'costa', 'costas', 'saludo', 'saludos', 'salude',
+        'preciso', 'precisa', 'tenia', 'moler', 'trabajo', 'lunas', 'turco', 'quede'],
+      
+      // Per-language dictionaries; settings left out come from above
+      locales: {
+        en: {
+          abbreviations: {
+            u: 'you',
+            r: 'are',
+            pls: 'please',
+            plz: 'please',
+            thx: 'thanks',
+            ty: 'thank you',
+            appt: 'appointment',
+            tmrw: 'tomorrow',
+            tmr: 'tomorrow',
+            asap: 'as soon as possible'
+          },
+          emojis: {
+            '👍': 'ok',
+            '👌': 'ok',
+            '✅': 'ok',
+            '🙏': 'thanks',
+            '👋': 'hello',
+            '👎': 'no',
+            '❌': 'no'
+          },
+          keep: ['prize', 'charge', 'chance', 'greet']
+        },
+        pt: {
+          abbreviations: {
+            q: 'que',
+            vc: 'voce',
+            pq: 'porque',
+            tb: 'tambem',
+            tbm: 'tambem',
+            obg: 'obrigado',
+            blz: 'beleza',
+            hj: 'hoje',
+            amnh: 'amanha',
+            pf: 'por favor'
+          },
+          emojis: {
+            '👍': 'ok',
+            '👌': 'ok',
+            '✅': 'ok',
+            '🙏': 'obrigado',
+            '👋': 'ola',
+            '👎': 'nao',
+            '❌': 'nao'
+          },
+          keep: ['quanta', 'quarto', 'preso', 'passo', 'segundo', 'marcas', 'valer']
+        }
+      }
+    },
+    
     patterns: {
       // 🔍 Fragment patterns (messages that likely need more context)
       fragments: [
@@ -76,16 +247,114 @@ module.exports = {
       
       // 📊 Entity extraction patterns
       entities: {
-        dni: /\b\d{7,8}\b/g,
-        date: /\b\d{1,2}[\/\-]\d{1,2}[\/\-](\d{2}|\d{4})\b/g,
+        dni: /\b\d{1,2}\.?\d{3}\.?\d{3}\b/g,
+        date: /\b\d{1,2}[/-]\d{1,2}[/-](\d{2}|\d{4})\b/g,
         time: /\b\d{1,2}:\d{2}(\s*(am|pm))?\b/gi,
-        phone: /\b(\+54\s?)?(\d{2,4}[-\s]?)?\d{6,8}\b/g,
+        phone: /(\+?54[-\s]?)?(9[-\s]?)?(\(?0?\d{2,4}\)?[-\s]?)?(15[-\s]?)?\d{3,4}[-\s]?\d{4}\b/g,
         age: /\b\d{1,3}\s*(años?|year|years old)\b/gi,
         
         // Medical-specific entities
         insurance: /\b(osde|swiss medical|galeno|medicus|sancor|federada|ioma|pami)\b/gi,
         specialties: /\b(clinica|cardiolog|dermatolog|ginecolog|pediatr|psicolog|traumatolog|oftalmolog)\w*/gi,
         symptoms: /\b(dolor|fiebre|tos|dolor de cabeza|nauseas|mareo)\b/gi
+      },
+      
+      // 🗣️ Per-locale packs; fragments, complete and intents left out come from the
+      // Spanish pack above, entities are merged per entity (e.g. dni, phone)
+      locales: {
+        en: {
+          fragments: [
+            /^(i want|i need|can i|how do|what|where|when)$/i,
+            /^(for|at|on|in|the|a|an)$/i,
+            /^(appointment|booking|visit|price|hours|location)$/i,
+            /^(cancel|change|reschedule)$/i,
+            /^(doctor|dr)$/i,
+            /^(it hurts|i have pain|i feel)$/i,
+            /^(tomorrow|today|morning|afternoon|evening)$/i,
+            /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday)$/i
+          ],
+          complete: [
+            /i (want|need) (to book|to schedule|an appointment) .+/i,
+            /(can|could) i (book|schedule|get) .+ appointment/i,
+            /(what is|how much is) (the )?(price|fee|cost) .+/i,
+            /(where is|what is the address of) the (office|clinic)/i,
+            /(do you|does the doctor) (accept|take) .+ insurance/i,
+            /i need to (cancel|change|reschedule) (my|the) appointment.*/i,
+            /(it hurts|i have (a )?pain) .+ (since|for)/i,
+            /^(hi|hello|good (morning|afternoon|evening))( doctor)?$/i,
+            /^(thanks|thank you|perfect|great|ok)$/i,
+            /^(bye|goodbye|see you|have a nice day)$/i,
+            /.+\?$/
+          ],
+          intents: {
+            appointment: /appointment|book|schedule|booking|visit/i,
+            cancellation: /cancel|call off/i,
+            modification: /change|reschedule|move/i,
+            information: /price|cost|fee|hours|address|location|insurance/i,
+            medical_query: /pain|hurts|symptom|sick|health|medicine/i,
+            greeting: /hello|\bhi\b|good (morning|afternoon|evening)/i,
+            farewell: /thanks|thank you|bye|see you/i,
+            confirmation: /\b(yes|ok|okay|perfect|great|sure)\b/i,
+            negation: /\b(no|never|not at all)\b/i
+          },
+          entities: {
+            dni: /\b\d{1,2}\.?\d{3}\.?\d{3}\b/g,
+            date: /\b\d{1,2}[/-]\d{1,2}[/-](\d{2}|\d{4})\b/g,
+            time: /\b\d{1,2}:\d{2}(\s*(am|pm))?\b/gi,
+            phone: /(\+?54[-\s]?)?(9[-\s]?)?(\(?0?\d{2,4}\)?[-\s]?)?(15[-\s]?)?\d{3,4}[-\s]?\d{4}\b/g,
+            age: /\b\d{1,3}\s*(years? old|yo)\b/gi,
+            insurance: /\b(osde|swiss medical|galeno|medicus|sancor|federada|ioma|pami)\b/gi,
+            specialties: /\b(cardiolog|dermatolog|gynecolog|pediatr|psycholog|orthoped|ophthalmolog)\w*/gi,
+            symptoms: /\b(pain|fever|cough|headache|nausea|dizziness)\b/gi
+          }
+        },
+        
+        pt: {
+          fragments: [
+            /^(quero|preciso|posso|me|qual|como|onde|quando)$/i,
+            /^(para|em|o|a|um|uma|por)$/i,
+            /^(consulta|horario|horário|preço|preco|endereço|endereco)$/i,
+            /^(cancelar|remarcar|mudar|alterar)$/i,
+            /^(doutor|doutora|dr|dra)$/i,
+            /^(está doendo|esta doendo|sinto|tenho dor)$/i,
+            /^(convênio|convenio|plano de saúde|plano de saude)$/i,
+            /^(amanhã|amanha|hoje|manhã|manha|tarde|noite)$/i,
+            /^(segunda|terça|terca|quarta|quinta|sexta|sábado|sabado|domingo)$/i
+          ],
+          complete: [
+            /(quero|preciso) (marcar|agendar) (uma )?consulta .+/i,
+            /(qual é|quanto custa) (o valor|o preço|a consulta) .+/i,
+            /(onde fica|qual é o endereço) (do|da) (consultório|clínica)/i,
+            /(aceita|atende) (convênio|plano) .+/i,
+            /preciso (cancelar|remarcar|mudar) (minha|a) consulta.*/i,
+            /(estou com|tenho) dor (de|na|no) .+/i,
+            /^(oi|olá|ola|bom dia|boa tarde|boa noite)( doutor| doutora)?$/i,
+            /^(obrigado|obrigada|perfeito|ótimo|otimo|ok|beleza)$/i,
+            /^(tchau|até logo|ate logo|até mais)$/i,
+            /.+\?$/
+          ],
+          intents: {
+            appointment: /consulta|marcar|agendar|horário|horario/i,
+            cancellation: /cancelar|desmarcar/i,
+            modification: /remarcar|mudar|alterar|trocar/i,
+            information: /preço|preco|valor|endereço|endereco|convênio|convenio|plano/i,
+            medical_query: /dor|doendo|sintoma|doente|saúde|saude|remédio|remedio/i,
+            greeting: /\boi\b|olá|ola|bom dia|boa tarde|boa noite/i,
+            farewell: /obrigad[oa]|tchau|até logo|ate logo/i,
+            confirmation: /\b(sim|ok|perfeito|ótimo|otimo|beleza|certo)\b/i,
+            negation: /\b(não|nao|nunca|de jeito nenhum)\b/i
+          },
+          entities: {
+            dni: /\b\d{1,2}\.?\d{3}\.?\d{3}\b/g,
+            date: /\b\d{1,2}[/-]\d{1,2}[/-](\d{2}|\d{4})\b/g,
+            time: /\b\d{1,2}(:\d{2}|h\d{0,2})\b/gi,
+            phone: /\b(\+55\s?)?(\(?\d{2}\)?[-\s]?)?9?\d{4}[-\s]?\d{4}\b/g,
+            age: /\b\d{1,3}\s*anos?\b/gi,
+            insurance: /\b(unimed|amil|bradesco saúde|bradesco saude|sulamérica|sulamerica|hapvida|ioma|pami)\b/gi,
+            specialties: /\b(cardiolog|dermatolog|ginecolog|pediatr|psicolog|ortoped|oftalmolog)\w*/gi,
+            symptoms: /\b(dor|febre|tosse|dor de cabeça|dor de cabeca|náusea|nausea|tontura)\b/gi
+          }
+        }
       }
     }
   },
@@ -118,12 +387,54 @@ module.exports = {
     }
   },
   
+  redis: {
+    url: process.env.REDIS_URL
+  },
+  
   buffer: {
     ttl: 300,             // 5 minutes buffer TTL
     maxSize: 10,          // Max 10 messages per buffer
     maxSizeKB: 50,        // Max 50KB per buffer
     cleanupInterval: 60,  // Cleanup every minute
-    slidingTTL: true      // Extend TTL on new messages
+    slidingTTL: true,     // Extend TTL on new messages
+    
+    // Buffering policy per message type: analyze | complete | fragment | ignore
+    // (`caption` applies instead of `policy` when the media carries text)
+    media: {
+      text: { policy: 'analyze' },
+      audio: { policy: 'complete' },                        // Voice notes are a full message
+      image: { policy: 'fragment', caption: 'complete' },   // A photo of an order usually comes with text
+      video: { policy: 'fragment', caption: 'complete' },
+      document: { policy: 'fragment', caption: 'complete' },
+      sticker: { policy: 'ignore' },
+      location: { policy: 'fragment' },
+      contact: { policy: 'fragment' },
+      reaction: { policy: 'ignore' }
+    },
+    
+    // Merging a flushed buffer into final_text
+    aggregation: {
+      dropDuplicates: true, // Drop resent fragments
+      similarity: 0.9       // Normalized texts this similar count as a resend (short texts must match exactly;
+                            // differing digits or entities never do)
+    }
+  },
+  
+  // Webhook bodies accepted by inbound-adapters.js, detected in this order
+  // (`canonical` is { chatId, text, timestamp } as sent by the n8n template)
+  inbound: {
+    providers: ['waha', 'whatsapp_cloud', 'telegram', 'twilio', 'canonical']
+  },
+  
+  // 🛰️ Standalone service (service/server.js): where ready buffers are POSTed
+  service: {
+    callback: {
+      url: process.env.CALLBACK_URL, // n8n webhook or any HTTP endpoint
+      timeout: 5000,      // 5s per attempt
+      retries: 3,         // Retries after the first attempt (network errors, 429, 5xx)
+      backoff: 1000,      // First retry delay, doubled on each retry
+      maxBackoff: 30000   // Cap for the retry delay
+    }
   },
   
   circuitBreaker: {
@@ -162,6 +473,16 @@ module.exports = {
       enabled: true,
       webhook: process.env.ALERT_WEBHOOK_URL,
       
+      // Channels notified per severity (webhook, slack, telegram)
+      routing: {
+        critical: ['webhook', 'slack', 'telegram'],
+        warning: ['webhook', 'slack'],
+        info: ['webhook']
+      },
+      
+      // Rate conditions wait for this many observations in their window (per trigger too)
+      minSamples: 20,
+      
       triggers: [
         {
           name: 'redis_down',
@@ -222,7 +543,22 @@ module.exports = {
     dataRetention: {
       bufferData: 86400,  // 24h for buffer data
       metrics: 604800,    // 1 week for metrics
-      logs: 259200        // 3 days for logs
+      logs: 259200,       // 3 days for logs
+      
+      // Extra Redis keys erased per patient ({chatId} is replaced)
+      contextKeys: ['smart-buffer:context:{chatId}*', '{chatId}_buffer_v3']
+    },
+
+    // PII in logs, metrics and alerts (buffer contents are never redacted)
+    redaction: {
+      enabled: true,
+      entities: {
+        dni: 'hash',        // mask | hash | keep
+        phone: 'hash',
+        age: 'mask',
+        insurance: 'mask',
+        symptoms: 'mask'
+      }
     }
   },
   
@@ -230,11 +566,29 @@ module.exports = {
   validation: {
     required: ['redis.url'],
     
+    // Dotted paths, `*` matches every key; lt/lte/gt/gte compare with a sibling field
     rules: {
-      'timing.profiles.balanced.urgent': {
+      'timing.profiles.*.urgent': {
         type: 'number',
         min: 1000,
-        max: 10000
+        max: 10000,
+        lte: 'simple'
+      },
+      'timing.profiles.*.simple': {
+        type: 'number',
+        min: 1000,
+        max: 15000,
+        lte: 'complex'
+      },
+      'timing.profiles.*.complex': {
+        type: 'number',
+        min: 1000,
+        max: 30000
+      },
+      // Capped at buffer.maxSize when larger
+      'timing.profiles.*.maxBuffer': {
+        type: 'integer',
+        min: 1
       },
       'buffer.ttl': {
         type: 'number',
@@ -245,6 +599,86 @@ module.exports = {
         type: 'number',
         min: 1,
         max: 20
+      },
+      'buffer.media.*.policy': {
+        enum: ['analyze', 'complete', 'fragment', 'ignore']
+      },
+      'buffer.media.*.caption': {
+        enum: ['analyze', 'complete', 'fragment', 'ignore']
+      },
+      'inbound.providers.*': {
+        enum: ['waha', 'whatsapp_cloud', 'telegram', 'twilio', 'canonical']
+      },
+      'service.callback.timeout': {
+        type: 'integer',
+        min: 100,
+        max: 60000
+      },
+      'service.callback.retries': {
+        type: 'integer',
+        min: 0,
+        max: 10
+      },
+      'service.callback.backoff': {
+        type: 'integer',
+        min: 100,
+        lte: 'maxBackoff'
+      },
+      'buffer.aggregation.similarity': {
+        type: 'number',
+        min: 0.5,
+        max: 1
+      },
+      'circuitBreaker.*.threshold': {
+        type: 'integer',
+        min: 1
+      },
+      'metrics.tracking.samplingRate': {
+        type: 'number',
+        min: 0,
+        max: 1
+      },
+      'metrics.alerts.triggers.*.severity': {
+        enum: ['critical', 'warning', 'info']
+      },
+      'metrics.alerts.minSamples': {
+        type: 'integer',
+        min: 1
+      },
+      'metrics.alerts.triggers.*.minSamples': {
+        type: 'integer',
+        min: 1
+      },
+      'security.redaction.entities.*': {
+        enum: ['mask', 'hash', 'keep']
+      },
+      'semantic.language.default': {
+        enum: ['es', 'en', 'pt']
+      },
+      'semantic.language.detect.*': {
+        enum: ['es', 'en', 'pt']
+      },
+      'semantic.resolution.timezone': {
+        type: 'string'
+      },
+      'semantic.resolution.assumePmBefore': {
+        type: 'integer',
+        min: 0,
+        max: 12
+      },
+      'semantic.resolution.dni.min': {
+        type: 'integer',
+        min: 1,
+        lt: 'max'
+      },
+      'semantic.normalization.fuzzy.maxDistance': {
+        type: 'integer',
+        min: 0,
+        max: 2
+      },
+      'semantic.normalization.fuzzy.minLength': {
+        type: 'integer',
+        min: 3
       }
     }
   }
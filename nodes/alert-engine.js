@@ -0,0 +1,298 @@
+/**
+ * 🚨 N8N Smart Buffer - Alert Engine
+ * Compiles `metrics.alerts.triggers` conditions and evaluates them over sliding windows
+ *
+ * Condition grammar: `<metric> <comparator> <threshold>[%|ms|s|min] in <window><s|min|h>`
+ *   redis_failures > 3 in 3min            - sum of recorded values
+ *   buffer_overflow_rate > 5% in 5min     - `<name>_rate`: % of `<name>` observations that were hits;
+ *                                           not evaluated below `minSamples` observations (one
+ *                                           overflow in the first two messages is not 50%)
+ *   avg_response_time > 10s in 5min       - `avg_<name>`: mean of `<name>` samples (ms)
+ */
+
+const { EventEmitter } = require('events');
+const { getConfig } = require('./config-loader.js');
+
+const ACTIVE_ALERTS_KEY = 'smart-buffer:alerts:active';
+
+const CONDITION_PATTERN = /^\s*([a-z][a-z0-9_]*)\s*(>=|<=|==|!=|>|<)\s*(\d+(?:\.\d+)?)\s*(%|ms|s|min)?\s+in\s+(\d+)\s*(s|sec|m|min|h)\s*$/i;
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const WINDOW_UNITS = { s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000 };
+const DEFAULT_MIN_SAMPLES = 20;
+const DURATION_UNITS = { ms: 1, s: 1000, min: 60000 };
+
+function compileCondition(condition) {
+  const match = CONDITION_PATTERN.exec(String(condition || ''));
+
+  if (!match) {
+    throw new Error(`Malformed alert condition: '${condition}'`);
+  }
+
+  const [, metric, comparator, rawThreshold, unit, windowValue, windowUnit] = match;
+  let kind = 'sum';
+  let source = metric;
+
+  if (metric.endsWith('_rate')) {
+    kind = 'rate';
+    source = metric.slice(0, -'_rate'.length);
+  } else if (metric.startsWith('avg_')) {
+    kind = 'avg';
+    source = metric.slice('avg_'.length);
+  }
+
+  let threshold = parseFloat(rawThreshold);
+
+  if (unit === '%') {
+    if (kind !== 'rate') {
+      throw new Error(`Percentage threshold requires a *_rate metric: '${condition}'`);
+    }
+  } else if (unit) {
+    threshold *= DURATION_UNITS[unit.toLowerCase()];
+  } else if (kind === 'rate') {
+    // Bare rate thresholds are fractions (0.05 == 5%)
+    threshold *= 100;
+  }
+
+  return {
+    condition,
+    metric,
+    kind,
+    source,
+    comparator,
+    threshold,
+    windowMs: parseInt(windowValue, 10) * WINDOW_UNITS[windowUnit.toLowerCase()]
+  };
+}
+
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {number} [options.evaluationInterval] - ms between evaluations once started
+   * @param {object} [options.redis] - ioredis client; shares active alerts with other processes
+   *
+   * Shared alerts are re-published on every evaluation with an `expiresAt`
+   * three intervals ahead; entries a stopped or crashed process left behind
+   * are dropped once expired, and the hash expires when nothing refreshes it.
+   */
+  constructor(config = getConfig(), options = {}) {
+    super();
+
+    this.evaluationInterval = options.evaluationInterval || 10000;
+    this.redis = options.redis || null;
+    this.sharedTTL = this.evaluationInterval * 3;
+    this.series = new Map();
+    this.active = new Map();
+    this.timer = null;
+
+    this.reconfigure(config);
+  }
+
+  /**
+   * Swaps the triggers in one step; throws without changing anything when one
+   * doesn't compile. Active alerts whose trigger is gone (or every alert, once
+   * alerts are disabled) are resolved.
+   */
+  reconfigure(config) {
+    const alerts = (config.metrics && config.metrics.alerts) || {};
+    const errors = [];
+
+    // Per trigger or for every rate condition; sums and averages ignore it
+    const minSamples = alerts.minSamples !== undefined ? alerts.minSamples : DEFAULT_MIN_SAMPLES;
+    const rules = (alerts.triggers || []).reduce((compiled, trigger) => {
+      try {
+        compiled.push({
+          name: trigger.name,
+          severity: trigger.severity || 'warning',
+          minSamples: trigger.minSamples !== undefined ? trigger.minSamples : minSamples,
+          ...compileCondition(trigger.condition)
+        });
+      } catch (error) {
+        errors.push(`${trigger.name || 'unnamed trigger'}: ${error.message}`);
+      }
+      return compiled;
+    }, []);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid alert triggers:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.enabled = alerts.enabled !== false;
+    this.rules = rules;
+    this.maxWindow = Math.max(0, ...rules.map(rule => rule.windowMs));
+
+    const kept = new Set(this.enabled ? rules.map(rule => rule.name) : []);
+    this.active.forEach((alert, name) => {
+      if (!kept.has(name)) {
+        this.active.delete(name);
+        this.share('hdel', name);
+        this.emit('resolved', { ...alert, resolvedAt: Date.now() });
+      }
+    });
+  }
+
+  /**
+   * Record a sample. Counters record 1 per event, rates record 1 (hit) or 0
+   * (miss) per observation, averages record the measured value.
+   */
+  record(name, value = 1, timestamp = Date.now()) {
+    if (!this.series.has(name)) {
+      this.series.set(name, []);
+    }
+    this.series.get(name).push([timestamp, Number(value)]);
+  }
+
+  prune(now) {
+    const cutoff = now - this.maxWindow;
+
+    this.series.forEach((samples, name) => {
+      const firstKept = samples.findIndex(([timestamp]) => timestamp >= cutoff);
+      if (firstKept === -1) {
+        this.series.delete(name);
+      } else if (firstKept > 0) {
+        samples.splice(0, firstKept);
+      }
+    });
+  }
+
+  valueOf(rule, now = Date.now()) {
+    const samples = (this.series.get(rule.source) || [])
+      .filter(([timestamp]) => timestamp >= now - rule.windowMs)
+      .map(([, value]) => value);
+    const total = samples.reduce((sum, value) => sum + value, 0);
+
+    if (rule.kind === 'sum') {
+      return total;
+    }
+    if (samples.length === 0) {
+      return null;
+    }
+    if (rule.kind === 'rate') {
+      if (samples.length < rule.minSamples) {
+        return null;
+      }
+      return (samples.filter(value => value > 0).length / samples.length) * 100;
+    }
+    return total / samples.length;
+  }
+
+  evaluate(now = Date.now()) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    this.prune(now);
+
+    this.rules.forEach(rule => {
+      const value = this.valueOf(rule, now);
+      const firing = value !== null && COMPARATORS[rule.comparator](value, rule.threshold);
+      const current = this.active.get(rule.name);
+
+      if (firing && !current) {
+        const alert = {
+          name: rule.name,
+          severity: rule.severity,
+          condition: rule.condition,
+          value,
+          threshold: rule.threshold,
+          raisedAt: now
+        };
+        this.active.set(rule.name, alert);
+        this.emit('alert', alert);
+      } else if (!firing && current) {
+        this.active.delete(rule.name);
+        this.share('hdel', rule.name);
+        this.emit('resolved', { ...current, value, resolvedAt: now });
+      } else if (firing) {
+        current.value = value;
+      }
+    });
+
+    this.publish(now);
+
+    const active = this.activeAlerts();
+    if (active.length > 0) {
+      this.emit('active', active);
+    }
+    return active;
+  }
+
+  activeAlerts() {
+    return Array.from(this.active.values());
+  }
+
+  share(command, ...args) {
+    if (this.redis) {
+      this.redis[command](ACTIVE_ALERTS_KEY, ...args).catch(() => {
+        // Sharing is best-effort; local state stays authoritative
+      });
+    }
+  }
+
+  publish(now) {
+    const alerts = this.activeAlerts();
+
+    if (alerts.length > 0) {
+      this.share('hset', ...alerts.flatMap(alert => [alert.name, JSON.stringify({ ...alert, expiresAt: now + this.sharedTTL })]));
+      this.share('pexpire', this.sharedTTL);
+    }
+  }
+
+  // Active alerts across every process sharing the Redis instance
+  async sharedAlerts(now = Date.now()) {
+    if (!this.redis) {
+      return this.activeAlerts();
+    }
+
+    const shared = await this.redis.hgetall(ACTIVE_ALERTS_KEY);
+    const alerts = [];
+    const stale = [];
+
+    Object.entries(shared || {}).forEach(([name, raw]) => {
+      let alert = null;
+      try {
+        alert = JSON.parse(raw);
+      } catch (error) {
+        // Unparseable entries are cleaned up with the expired ones
+      }
+      if (alert && alert.expiresAt >= now) {
+        alerts.push(alert);
+      } else {
+        stale.push(name);
+      }
+    });
+
+    if (stale.length > 0) {
+      this.share('hdel', ...stale);
+    }
+    return alerts;
+  }
+
+  // Runs while alerts are disabled too, so a reload can enable them
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.evaluate(), this.evaluationInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = { AlertEngine, compileCondition };
@@ -0,0 +1,249 @@
+/**
+ * 📣 N8N Smart Buffer - Alert Notifier
+ * Routes alerts by severity to webhook, Slack and Telegram channel plugins
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { postJson } = require('./http-client.js');
+const { PIIRedactor } = require('./pii-redactor.js');
+
+const SEVERITY_ICONS = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+
+function describe(event) {
+  const { alert, status } = event;
+  const icon = status === 'resolved' ? '✅' : (SEVERITY_ICONS[alert.severity] || '🔔');
+  const title = status === 'resolved' ?
+    `Resolved: ${alert.name}` :
+    `${alert.severity.toUpperCase()}: ${alert.name}`;
+
+  return `${icon} [smart-buffer] ${title} (${alert.condition}, value: ${alert.value})`;
+}
+
+class WebhookChannel {
+  constructor({ url, timeout } = {}) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  format(event) {
+    return {
+      source: 'n8n-smart-buffer',
+      status: event.status,
+      alert: event.alert,
+      timestamp: event.timestamp
+    };
+  }
+
+  send(event) {
+    return postJson(this.url, this.format(event), { timeout: this.timeout });
+  }
+}
+
+class SlackChannel {
+  constructor({ token, channel, apiUrl = 'https://slack.com/api', timeout } = {}) {
+    this.name = 'slack';
+    this.token = token;
+    this.channel = channel;
+    this.apiUrl = apiUrl;
+    this.timeout = timeout;
+  }
+
+  format(event) {
+    return { channel: this.channel, text: describe(event) };
+  }
+
+  async send(event) {
+    const response = await postJson(`${this.apiUrl}/chat.postMessage`, this.format(event), {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: this.timeout
+    });
+
+    // Slack reports failures with 200 + { ok: false }
+    if (response.body && response.body.ok === false) {
+      throw new Error(`Slack API error: ${response.body.error}`);
+    }
+    return response;
+  }
+}
+
+class TelegramChannel {
+  constructor({ token, chatId, apiUrl = 'https://api.telegram.org', timeout } = {}) {
+    this.name = 'telegram';
+    this.token = token;
+    this.chatId = chatId;
+    this.apiUrl = apiUrl;
+    this.timeout = timeout;
+  }
+
+  format(event) {
+    return { chat_id: this.chatId, text: describe(event), disable_web_page_preview: true };
+  }
+
+  send(event) {
+    return postJson(`${this.apiUrl}/bot${this.token}/sendMessage`, this.format(event), { timeout: this.timeout });
+  }
+}
+
+/**
+ * Builds the channels whose credentials are present in the environment.
+ * The *_API_URL variables point channels at self-hosted or stand-in servers.
+ */
+function channelsFromEnv(config = getConfig(), env = process.env) {
+  const channels = [];
+  const webhookUrl = env.ALERT_WEBHOOK_URL || (config.metrics && config.metrics.alerts && config.metrics.alerts.webhook);
+
+  if (webhookUrl) {
+    channels.push(new WebhookChannel({ url: webhookUrl }));
+  }
+  if (env.ALERT_SLACK_TOKEN) {
+    channels.push(new SlackChannel({
+      token: env.ALERT_SLACK_TOKEN,
+      channel: env.ALERT_SLACK_CHANNEL,
+      apiUrl: env.ALERT_SLACK_API_URL || undefined
+    }));
+  }
+  if (env.ALERT_TELEGRAM_BOT_TOKEN && env.ALERT_TELEGRAM_CHAT_ID) {
+    channels.push(new TelegramChannel({
+      token: env.ALERT_TELEGRAM_BOT_TOKEN,
+      chatId: env.ALERT_TELEGRAM_CHAT_ID,
+      apiUrl: env.ALERT_TELEGRAM_API_URL || undefined
+    }));
+  }
+
+  return channels;
+}
+
+class AlertNotifier {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {Array} [options.channels] - Channel plugins ({ name, format(event), send(event) })
+   * @param {PIIRedactor} [options.redactor] - Applied to alerts before any channel sees them
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.channels = new Map();
+    this.firing = new Map();
+    this.pending = new Set();
+    this.log = [];
+    this.redactorOption = options.redactor || null;
+    // Channels built from the environment; null when channels were injected
+    this.envChannels = options.channels ? null : [];
+
+    (options.channels || []).forEach(channel => this.registerChannel(channel));
+    this.reconfigure(config);
+  }
+
+  /**
+   * Routing, history retention and redaction follow the new config. Channels
+   * built from the environment are rebuilt (the webhook URL may come from
+   * `metrics.alerts.webhook`); injected and registered ones are kept.
+   */
+  reconfigure(config) {
+    const alerts = (config.metrics && config.metrics.alerts) || {};
+    const retention = (config.metrics && config.metrics.retention) || {};
+
+    this.enabled = alerts.enabled !== false;
+    this.routing = alerts.routing || null;
+    this.historyTTL = (retention.alerts || 86400) * 1000;
+    this.redactor = this.redactorOption || new PIIRedactor(config);
+
+    if (this.envChannels) {
+      this.envChannels.forEach(name => this.channels.delete(name));
+      this.envChannels = channelsFromEnv(config).map(channel => {
+        this.registerChannel(channel);
+        return channel.name;
+      });
+    }
+  }
+
+  registerChannel(channel) {
+    if (!channel || !channel.name || typeof channel.send !== 'function') {
+      throw new Error('Alert channel must have a name and a send(event) method');
+    }
+    this.channels.set(channel.name, channel);
+  }
+
+  channelsFor(severity) {
+    // Without routing rules every severity goes to every channel
+    const names = this.routing ? (this.routing[severity] || []) : Array.from(this.channels.keys());
+    return names.map(name => this.channels.get(name)).filter(Boolean);
+  }
+
+  async dispatch(status, alert) {
+    const event = { status, alert: this.redactor.redact(alert), timestamp: Date.now() };
+    const results = await Promise.all(this.channelsFor(alert.severity).map(async channel => {
+      try {
+        await channel.send(event);
+        return { channel: channel.name, delivered: true };
+      } catch (error) {
+        return { channel: channel.name, delivered: false, error: error.message };
+      }
+    }));
+
+    this.record({ ...event, results });
+    return results;
+  }
+
+  /**
+   * Sends a firing alert and suppresses repeats until it resolves. An alert
+   * counts as firing once a channel accepted it (or none is routed); when
+   * every channel failed, the next notify() for it tries again.
+   */
+  async notify(alert) {
+    if (!this.enabled || this.firing.has(alert.name) || this.pending.has(alert.name)) {
+      return [];
+    }
+
+    this.pending.add(alert.name);
+    const results = await this.dispatch('firing', alert);
+
+    // Resolved while it was being sent: nothing left to suppress
+    if (this.pending.delete(alert.name) && (results.length === 0 || results.some(result => result.delivered))) {
+      this.firing.set(alert.name, alert);
+    }
+    return results;
+  }
+
+  async resolve(alert) {
+    this.pending.delete(alert.name);
+
+    if (!this.enabled || !this.firing.has(alert.name)) {
+      return [];
+    }
+
+    this.firing.delete(alert.name);
+    return this.dispatch('resolved', alert);
+  }
+
+  // Active alerts are offered again after every evaluation, so failed deliveries are retried
+  attach(engine) {
+    engine.on('alert', alert => this.notify(alert));
+    engine.on('active', alerts => alerts.forEach(alert => this.notify(alert)));
+    engine.on('resolved', alert => this.resolve(alert));
+    return this;
+  }
+
+  record(entry) {
+    this.log.push(entry);
+    this.pruneHistory();
+  }
+
+  pruneHistory(now = Date.now()) {
+    const cutoff = now - this.historyTTL;
+    this.log = this.log.filter(entry => entry.timestamp >= cutoff);
+  }
+
+  history() {
+    this.pruneHistory();
+    return this.log.slice();
+  }
+}
+
+module.exports = {
+  AlertNotifier,
+  WebhookChannel,
+  SlackChannel,
+  TelegramChannel,
+  channelsFromEnv
+};
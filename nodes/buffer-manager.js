@@ -0,0 +1,520 @@
+/**
+ * 📋 N8N Smart Buffer - Buffer Manager
+ * Redis-backed per-chat message buffers enforcing the config `buffer` section
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config-loader.js');
+const { CircuitBreaker } = require('./circuit-breaker.js');
+const { PayloadCipher } = require('./payload-cipher.js');
+const { normalizeMessage } = require('./message-types.js');
+
+const DEFAULT_KEY_PREFIX = 'smart-buffer:buffer:';
+const DEFAULT_CLAIM_PREFIX = 'smart-buffer:claim:';
+
+// Appends an entry, trims by count then by bytes (oldest first), applies TTL.
+// An entry whose id is already buffered is not appended again: it replaces the
+// buffered one when ARGV[7] is '1' (an edit), and is dropped otherwise (a resend).
+// ARGV: entry, maxSize, maxBytes, ttl, slidingTTL ('1' | '0'), id, replace ('1' | '0')
+// Returns {size, bytes, dropped, status} with status appended | replaced | duplicate
+const APPEND_SCRIPT = `
+local key = KEYS[1]
+local isNew = redis.call('EXISTS', key) == 0
+local status = 'appended'
+
+for index, entry in ipairs(redis.call('LRANGE', key, 0, -1)) do
+  local ok, decoded = pcall(cjson.decode, entry)
+  if ok and decoded.id ~= nil and tostring(decoded.id) == ARGV[6] then
+    if ARGV[7] == '1' then
+      redis.call('LSET', key, index - 1, ARGV[1])
+      status = 'replaced'
+    else
+      status = 'duplicate'
+    end
+    break
+  end
+end
+
+if status == 'appended' then
+  redis.call('RPUSH', key, ARGV[1])
+end
+
+local maxSize = tonumber(ARGV[2])
+local maxBytes = tonumber(ARGV[3])
+local dropped = 0
+
+while redis.call('LLEN', key) > maxSize do
+  redis.call('LPOP', key)
+  dropped = dropped + 1
+end
+
+local entries = redis.call('LRANGE', key, 0, -1)
+local size = #entries
+local bytes = 0
+for _, entry in ipairs(entries) do
+  bytes = bytes + string.len(entry)
+end
+
+while bytes > maxBytes and size > 1 do
+  local removed = redis.call('LPOP', key)
+  bytes = bytes - string.len(removed)
+  size = size - 1
+  dropped = dropped + 1
+end
+
+if isNew or ARGV[5] == '1' then
+  redis.call('EXPIRE', key, tonumber(ARGV[4]))
+end
+
+return {size, bytes, dropped, status}
+`;
+
+// Returns and deletes every entry. When ARGV[1] is set, only flushes if the
+// newest entry still has that id (a newer message supersedes this flush).
+const FLUSH_SCRIPT = `
+local entries = redis.call('LRANGE', KEYS[1], 0, -1)
+if #entries == 0 then
+  return {}
+end
+
+if ARGV[1] ~= '' then
+  local last = cjson.decode(entries[#entries])
+  if tostring(last.id) ~= ARGV[1] then
+    return false
+  end
+end
+
+redis.call('DEL', KEYS[1])
+return entries
+`;
+
+// Like FLUSH_SCRIPT, but moves the entries to KEYS[2] (keeping the TTL) until
+// the delivery is acknowledged. ARGV[1]: expected last id, or ''.
+const CLAIM_SCRIPT = `
+local entries = redis.call('LRANGE', KEYS[1], 0, -1)
+if #entries == 0 then
+  return {}
+end
+
+if ARGV[1] ~= '' then
+  local last = cjson.decode(entries[#entries])
+  if tostring(last.id) ~= ARGV[1] then
+    return false
+  end
+end
+
+redis.call('RENAME', KEYS[1], KEYS[2])
+return entries
+`;
+
+// Puts claimed entries back in front of anything buffered since. A buffer that
+// didn't exist again gets the claim's remaining TTL, so retries stop when it expires.
+const RELEASE_SCRIPT = `
+local entries = redis.call('LRANGE', KEYS[1], 0, -1)
+if #entries == 0 then
+  return 0
+end
+
+local ttl = redis.call('PTTL', KEYS[1])
+for i = #entries, 1, -1 do
+  redis.call('LPUSH', KEYS[2], entries[i])
+end
+redis.call('DEL', KEYS[1])
+if ttl > 0 and redis.call('PTTL', KEYS[2]) < 0 then
+  redis.call('PEXPIRE', KEYS[2], ttl)
+end
+return #entries
+`;
+
+// Drops entries older than the cutoff and restores a missing TTL.
+// ARGV: cutoff timestamp (ms), ttl
+const CLEANUP_SCRIPT = `
+local key = KEYS[1]
+local entries = redis.call('LRANGE', key, 0, -1)
+local kept = {}
+for _, entry in ipairs(entries) do
+  local ok, decoded = pcall(cjson.decode, entry)
+  if ok and tonumber(decoded.timestamp or 0) >= tonumber(ARGV[1]) then
+    table.insert(kept, entry)
+  end
+end
+
+local removed = #entries - #kept
+if removed > 0 then
+  redis.call('DEL', key)
+  if #kept > 0 then
+    redis.call('RPUSH', key, unpack(kept))
+    redis.call('EXPIRE', key, tonumber(ARGV[2]))
+  end
+elseif redis.call('TTL', key) == -1 then
+  redis.call('EXPIRE', key, tonumber(ARGV[2]))
+end
+
+return removed
+`;
+
+function createRedisClient() {
+  const Redis = require('ioredis');
+  return new Redis(process.env.REDIS_URL);
+}
+
+class BufferManager {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {object} [options.redis] - ioredis client
+   * @param {CircuitBreaker} [options.breaker] - Defaults to one built from circuitBreaker.redis
+   * @param {PayloadCipher|null} [options.cipher] - Encrypts records at rest; defaults to env keys
+   * @param {MetricsCollector} [options.metrics]
+   * @param {Logger} [options.logger]
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.reconfigure(config);
+
+    this.keyPrefix = options.keyPrefix || DEFAULT_KEY_PREFIX;
+    this.claimPrefix = options.claimPrefix || DEFAULT_CLAIM_PREFIX;
+    this.redis = options.redis || createRedisClient();
+    this.breaker = options.breaker ||
+      new CircuitBreaker('redis', config.circuitBreaker && config.circuitBreaker.redis);
+    this.metrics = options.metrics || null;
+    this.logger = options.logger || null;
+    this.cipher = options.cipher !== undefined ? options.cipher : PayloadCipher.fromEnv();
+    this.cleanupTimer = null;
+
+    this.redis.defineCommand('bufferAppend', { numberOfKeys: 1, lua: APPEND_SCRIPT });
+    this.redis.defineCommand('bufferFlush', { numberOfKeys: 1, lua: FLUSH_SCRIPT });
+    this.redis.defineCommand('bufferClaim', { numberOfKeys: 2, lua: CLAIM_SCRIPT });
+    this.redis.defineCommand('bufferRelease', { numberOfKeys: 2, lua: RELEASE_SCRIPT });
+    this.redis.defineCommand('bufferCleanup', { numberOfKeys: 1, lua: CLEANUP_SCRIPT });
+  }
+
+  // New limits and TTLs apply from the next append; stored buffers keep their expiry
+  reconfigure(config) {
+    const buffer = config.buffer || {};
+    const cleanupInterval = buffer.cleanupInterval || 60;
+    const restart = Boolean(this.cleanupTimer) && cleanupInterval !== this.cleanupInterval;
+
+    this.ttl = buffer.ttl || 300;
+    this.maxSize = buffer.maxSize || 10;
+    this.maxBytes = (buffer.maxSizeKB || 50) * 1024;
+    this.cleanupInterval = cleanupInterval;
+    this.slidingTTL = buffer.slidingTTL !== false;
+
+    if (restart) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  // Every Redis call goes through the breaker so outages open the circuit. Build
+  // keys before calling: caller errors (a missing chatId) must not count as outages.
+  call(fn) {
+    return this.breaker.execute(fn);
+  }
+
+  encode(entry) {
+    return JSON.stringify(this.cipher ? this.cipher.encrypt(entry) : entry);
+  }
+
+  /**
+   * Parses a stored record, decrypting it when needed. Plaintext records from
+   * before encryption was enabled are still accepted. Tampered records throw.
+   */
+  decode(raw) {
+    const record = JSON.parse(raw);
+
+    if (!PayloadCipher.isEncrypted(record)) {
+      return record;
+    }
+    if (!this.cipher) {
+      throw new Error(`Buffer record ${record.id} is encrypted but no BUFFER_ENCRYPTION_KEYS are configured`);
+    }
+    return this.cipher.decrypt(record);
+  }
+
+  // Decodes a list of records, dropping (and logging) any that fail authentication
+  decodeAll(chatId, entries) {
+    return entries.reduce((messages, raw) => {
+      try {
+        messages.push(this.decode(raw));
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn('buffer', 'Rejected buffer record', { chatId, error: error.message });
+        }
+      }
+      return messages;
+    }, []);
+  }
+
+  key(chatId) {
+    if (!chatId) {
+      throw new Error('chatId is required');
+    }
+    return `${this.keyPrefix}${chatId}`;
+  }
+
+  /**
+   * Stores a message as a typed entry (see message-types.js): `type` and `text`
+   * are always set and media parts keep only their known fields.
+   *
+   * Idempotent on `id`: a message already in the buffer is reported as
+   * `duplicate` and not stored twice, unless it is `edited`, in which case it
+   * replaces the buffered version in place (`replaced`). Ids are stored as
+   * strings (`42` becomes `'42'`), the way the Lua scripts compare them.
+   */
+  async append(chatId, message) {
+    const key = this.key(chatId);
+    // Defaults last: the normalized message carries `id: undefined` when it had none
+    const normalized = normalizeMessage(message);
+    const hasId = normalized.id !== undefined && normalized.id !== null && normalized.id !== '';
+    const entry = {
+      ...normalized,
+      id: hasId ? String(normalized.id) : crypto.randomUUID(),
+      timestamp: normalized.timestamp || Date.now()
+    };
+    const serialized = this.encode(entry);
+
+    if (Buffer.byteLength(serialized) > this.maxBytes) {
+      throw new Error(`Message exceeds buffer limit of ${this.maxBytes / 1024}KB`);
+    }
+
+    const [size, bytes, dropped, status] = await this.call(() => this.redis.bufferAppend(
+      key,
+      serialized,
+      this.maxSize,
+      this.maxBytes,
+      this.ttl,
+      this.slidingTTL ? '1' : '0',
+      entry.id,
+      entry.edited ? '1' : '0'
+    ));
+
+    const result = {
+      entry,
+      size,
+      bytes,
+      dropped,
+      overflow: dropped > 0,
+      duplicate: status === 'duplicate',
+      replaced: status === 'replaced'
+    };
+
+    if (this.metrics && status === 'appended') {
+      this.metrics.recordBuffer(result);
+    }
+    if (this.logger) {
+      // Ids and sizes only: message content stays out of the logs
+      this.logger.debug('buffer', 'Message buffered', { chatId, id: entry.id, type: entry.type, status, size, bytes, dropped });
+    }
+
+    return result;
+  }
+
+  async read(chatId) {
+    const key = this.key(chatId);
+    const entries = await this.call(() => this.redis.lrange(key, 0, -1));
+    return this.decodeAll(chatId, entries);
+  }
+
+  async size(chatId) {
+    const key = this.key(chatId);
+    return this.call(() => this.redis.llen(key));
+  }
+
+  /**
+   * Atomically takes every buffered message for a chat.
+   * Pass `expectedLastId` to flush only if no newer message arrived since;
+   * returns null when the buffer was superseded.
+   */
+  async flush(chatId, expectedLastId = '') {
+    const key = this.key(chatId);
+    const entries = await this.call(() => this.redis.bufferFlush(key, expectedLastId));
+
+    if (entries === null) {
+      return null;
+    }
+
+    const messages = this.decodeAll(chatId, entries);
+    if (this.logger) {
+      this.logger.debug('buffer', 'Buffer flushed', { chatId, count: messages.length, ids: messages.map(message => message.id) });
+    }
+    return messages;
+  }
+
+  /**
+   * Takes the buffer like flush(), but keeps the records under a claim key until
+   * ack() (delivered) or release() (put back for the next flush). Returns
+   * `{ messages, key, chatId, lastId, deliveryId }`, or null when superseded or empty.
+   *
+   * `deliveryId` is derived from the chat and message ids, so claiming the same
+   * messages again after a release yields the same id.
+   */
+  async claim(chatId, expectedLastId = '') {
+    const key = this.key(chatId);
+    const claimKey = `${this.claimPrefix}${chatId}:${crypto.randomUUID()}`;
+    const entries = await this.call(() => this.redis.bufferClaim(key, claimKey, expectedLastId));
+
+    if (entries === null || entries.length === 0) {
+      return null;
+    }
+
+    const messages = this.decodeAll(chatId, entries);
+    const last = messages[messages.length - 1];
+    if (this.logger) {
+      this.logger.debug('buffer', 'Buffer claimed', { chatId, count: messages.length });
+    }
+    const deliveryId = crypto.createHash('sha256')
+      .update([chatId, ...messages.map(message => message.id)].join('\n'))
+      .digest('hex')
+      .slice(0, 32);
+
+    return { messages, key: claimKey, chatId, lastId: last ? String(last.id) : '', deliveryId };
+  }
+
+  async ack(claim) {
+    await this.call(() => this.redis.del(claim.key));
+  }
+
+  /**
+   * @returns {number} Records put back in the chat's buffer
+   */
+  async release(claim) {
+    const key = this.key(claim.chatId);
+    return this.call(() => this.redis.bufferRelease(claim.key, key));
+  }
+
+  async clear(chatId) {
+    const key = this.key(chatId);
+    await this.call(() => this.redis.del(key));
+  }
+
+  /**
+   * Rewrites every buffer with the active key (encrypting plaintext records too).
+   * Uses WATCH so a buffer that changes mid-rewrite is retried, not clobbered.
+   */
+  async reencrypt() {
+    if (!this.cipher) {
+      throw new Error('No BUFFER_ENCRYPTION_KEYS configured');
+    }
+
+    const report = { keys: 0, records: 0, rejected: 0 };
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.redis.scan(cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 100);
+      cursor = nextCursor;
+
+      for (const key of keys) {
+        let done = false;
+
+        while (!done) {
+          await this.redis.watch(key);
+          const [entries, pttl] = await Promise.all([this.redis.lrange(key, 0, -1), this.redis.pttl(key)]);
+          // Unparseable records count as stale: the rewrite drops them as rejected
+          const stale = entries.filter(raw => {
+            try {
+              return this.cipher.needsRotation(JSON.parse(raw));
+            } catch (error) {
+              return true;
+            }
+          });
+
+          if (stale.length === 0) {
+            await this.redis.unwatch();
+            break;
+          }
+
+          const rewritten = [];
+          let rejected = 0;
+          entries.forEach(raw => {
+            try {
+              rewritten.push(this.encode(this.decode(raw)));
+            } catch (error) {
+              rejected++;
+            }
+          });
+
+          const transaction = this.redis.multi().del(key);
+          if (rewritten.length > 0) {
+            transaction.rpush(key, ...rewritten);
+            if (pttl > 0) {
+              transaction.pexpire(key, pttl);
+            }
+          }
+
+          // exec() resolves to null when the watched key changed; retry then
+          done = (await transaction.exec()) !== null;
+          if (done) {
+            report.keys++;
+            report.records += rewritten.length;
+            report.rejected += rejected;
+          }
+        }
+      }
+    } while (cursor !== '0');
+
+    return report;
+  }
+
+  async activeCount() {
+    let count = 0;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.call(() =>
+        this.redis.scan(cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 100)
+      );
+      cursor = nextCursor;
+      count += keys.length;
+    } while (cursor !== '0');
+
+    return count;
+  }
+
+  /**
+   * Drops buffered messages older than `maxAge` seconds (defaults to the buffer TTL).
+   * Data retention passes `security.dataRetention.bufferData` here.
+   */
+  async cleanup(maxAge = this.ttl) {
+    const cutoff = Date.now() - maxAge * 1000;
+    let scanned = 0;
+    let removed = 0;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.call(() =>
+        this.redis.scan(cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 100)
+      );
+      cursor = nextCursor;
+
+      for (const key of keys) {
+        scanned++;
+        removed += await this.call(() => this.redis.bufferCleanup(key, cutoff, this.ttl));
+      }
+    } while (cursor !== '0');
+
+    return { scanned, removed };
+  }
+
+  start() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup().catch(() => {
+        // Cleanup is best-effort; Redis TTLs still expire abandoned buffers
+      });
+    }, this.cleanupInterval * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = { BufferManager };
@@ -0,0 +1,279 @@
+/**
+ * 🛰️ N8N Smart Buffer - Buffer Service
+ * Runs the analyze → buffer → decide pipeline outside n8n and delivers each
+ * ready buffer to the flush callback
+ *
+ * Wait decisions become in-process timers instead of parked Wait nodes; when a
+ * timer fires the buffer is flushed only if no newer message arrived (the newer
+ * message scheduled its own flush). Messages that can't be buffered (Redis down,
+ * circuit open) are delivered on their own, like the orchestrator's fallback.
+ *
+ * A flushed buffer is claimed, not deleted, until the callback accepts it; when
+ * delivery fails its messages go back to the chat's buffer and another flush is
+ * scheduled, until the buffer TTL runs out. A buffer the callback rejects (4xx
+ * other than 429) is dropped. Redeliveries of the same messages carry the same
+ * X-Smart-Buffer-Delivery id.
+ *
+ * Timers live in this process: buffers still waiting when it exits are flushed
+ * by stop(), or expire with the buffer TTL after a crash (claims included).
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { SemanticAnalyzer } = require('./semantic-analyzer.js');
+const { SmartOrchestrator } = require('./smart-orchestrator.js');
+const { MessageAggregator } = require('./message-aggregator.js');
+const { FlushCallback } = require('./flush-callback.js');
+const { MLClient } = require('./ml-client.js');
+
+class BufferService {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} options
+   * @param {BufferManager} options.buffer
+   * @param {SemanticAnalyzer} [options.analyzer]
+   * @param {MLClient} [options.ml] - For the default analyzer; used when `ml.enabled`
+   * @param {MessageAggregator} [options.aggregator] - Defaults to one sharing the analyzer
+   * @param {SmartOrchestrator} [options.orchestrator] - Defaults to one using the buffer's breaker
+   * @param {FlushCallback} [options.callback]
+   * @param {RateLimiter} [options.rateLimiter] - Checked before analysis when provided
+   * @param {MetricsCollector} [options.metrics]
+   * @param {Logger} [options.logger]
+   */
+  constructor(config = getConfig(), options = {}) {
+    if (!options.buffer) {
+      throw new Error('BufferService needs options.buffer');
+    }
+
+    const { metrics = null, logger = null } = options;
+
+    this.buffer = options.buffer;
+    this.analyzer = options.analyzer || new SemanticAnalyzer(config, {
+      metrics,
+      logger,
+      ml: options.ml || new MLClient(config)
+    });
+    this.aggregator = options.aggregator || new MessageAggregator(config, { analyzer: this.analyzer, logger });
+    this.orchestrator = options.orchestrator || new SmartOrchestrator(config, {
+      redisBreaker: this.buffer.breaker,
+      buffer: this.buffer,
+      aggregator: this.aggregator,
+      metrics,
+      logger
+    });
+    this.callback = options.callback || new FlushCallback(config, { logger });
+    this.rateLimiter = options.rateLimiter || null;
+    this.metrics = metrics;
+    this.logger = logger;
+
+    this.timers = new Map();
+    this.pending = new Set();
+    this.stopping = false;
+  }
+
+  // Components to hand to ConfigWatcher#attach
+  get components() {
+    return [this.analyzer, this.aggregator, this.orchestrator, this.callback, this.rateLimiter].filter(Boolean);
+  }
+
+  /**
+   * Takes one canonical message (see inbound-adapters.js) through the pipeline.
+   * Resolves with the decision once the message is buffered; delivery happens
+   * in the background.
+   */
+  async receive(message) {
+    const chatId = message.chatId;
+    let rateToken = null;
+
+    if (this.rateLimiter) {
+      const limit = await this.rateLimiter.consume(chatId);
+      if (!limit.allowed) {
+        return { ...this.rateLimiter.decision(limit), chatId, message_id: message.id };
+      }
+      rateToken = limit.token;
+    }
+
+    const analysis = await this.analyzer.analyzeWithML(message);
+    const decide = buffered => ({
+      ...this.orchestrator.decide(analysis, buffered, { chatId }),
+      chatId,
+      message_id: message.id
+    });
+
+    if (analysis.media_policy === 'ignore') {
+      return decide([]);
+    }
+
+    // The decision sees the buffer with this message in it (an edit in place
+    // of its original)
+    let appended;
+    let buffered;
+    try {
+      const previous = await this.buffer.read(chatId);
+      appended = await this.buffer.append(chatId, message);
+      buffered = appended.replaced ?
+        previous.map(stored => (stored.id === appended.entry.id ? appended.entry : stored)) :
+        [...previous, appended.entry];
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn('buffer', 'Message not buffered, delivering it alone', { chatId, error: error.message });
+      }
+      this.dispatch(chatId, async () => ({ payload: this.aggregator.aggregate([message], { chatId }) }));
+      return { ...decide([]), buffered: false };
+    }
+
+    const { entry } = appended;
+
+    // Accepted: with skipSuccessfulRequests it no longer counts toward the limit
+    if (this.rateLimiter) {
+      await this.rateLimiter.succeeded(chatId, rateToken);
+    }
+
+    // A provider resend of a message still waiting: its flush is already scheduled
+    if (appended.duplicate) {
+      return {
+        decision: 'ignore',
+        reason: 'Duplicate message (already buffered)',
+        should_wait: false,
+        wait_time: 0,
+        duplicate: true,
+        chatId,
+        message_id: entry.id
+      };
+    }
+
+    const decision = { ...decide(buffered), message_id: entry.id };
+    // An edit may replace an earlier message; the flush still waits for the newest
+    const lastId = buffered[buffered.length - 1].id;
+
+    if (decision.decision === 'wait') {
+      this.schedule(chatId, lastId, decision.wait_time);
+    } else {
+      this.cancel(chatId);
+      this.dispatch(chatId, () => this.take(chatId, lastId));
+    }
+
+    return decision;
+  }
+
+  schedule(chatId, lastId, waitTime) {
+    this.cancel(chatId);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(chatId);
+      this.dispatch(chatId, () => this.take(chatId, lastId));
+    }, waitTime);
+
+    this.timers.set(chatId, { timer, lastId });
+  }
+
+  cancel(chatId) {
+    const scheduled = this.timers.get(chatId);
+
+    if (scheduled) {
+      clearTimeout(scheduled.timer);
+      this.timers.delete(chatId);
+    }
+  }
+
+  // Claims the chat's buffer (see flush()) and aggregates it; null when superseded
+  async take(chatId, expectedLastId) {
+    const claim = await this.buffer.claim(chatId, expectedLastId);
+
+    if (!claim) {
+      return null;
+    }
+    try {
+      return { payload: this.aggregator.aggregate(claim.messages, { chatId }), claim };
+    } catch (error) {
+      await this.buffer.release(claim);
+      throw error;
+    }
+  }
+
+  /**
+   * Posts the payload `take()` resolves with. A claimed buffer is acknowledged
+   * once delivered or rejected, and released after a retryable failure, with a
+   * retry scheduled unless a newer message already has one. Resolves with the delivery result, or null
+   * when there was nothing to deliver.
+   */
+  dispatch(chatId, take) {
+    const delivery = (async () => {
+      const taken = await take();
+      if (!taken) {
+        return null;
+      }
+
+      const { payload, claim } = taken;
+      let result = null;
+
+      if (payload.ready_for_ai) {
+        try {
+          result = await this.callback.deliver(payload, claim ? { deliveryId: claim.deliveryId } : {});
+        } catch (error) {
+          result = { delivered: false, attempts: 0, error: error.message };
+        }
+      }
+
+      // A payload the receiver rejected (a final 4xx) would fail again and take
+      // every later message of the chat with it: it is dropped, not put back
+      const retry = Boolean(result && !result.delivered && result.retryable !== false);
+
+      if (claim && retry) {
+        await this.buffer.release(claim);
+        if (!this.stopping && !this.timers.has(chatId)) {
+          this.schedule(chatId, claim.lastId, this.callback.maxBackoff);
+        }
+      } else if (claim) {
+        await this.buffer.ack(claim);
+      }
+
+      if (result && this.metrics) {
+        this.metrics.recordDelivery(result);
+        if (result.delivered) {
+          this.metrics.recordResponseTime(payload.first_timestamp);
+        }
+      }
+      if (result && this.logger) {
+        if (result.delivered) {
+          this.logger.debug('buffer', 'Buffer delivered', { chatId, ...result });
+        } else {
+          let message = 'Message not delivered';
+          if (claim) {
+            message = retry ? 'Buffer not delivered, messages returned to the buffer' : 'Buffer rejected by the callback, messages dropped';
+          }
+          this.logger.error('callback', message, {
+            chatId,
+            ids: claim ? claim.messages.map(entry => entry.id) : undefined,
+            ...result
+          });
+        }
+      }
+      return result;
+    })().catch(error => {
+      // A failed claim or release leaves the records in Redis until their TTL
+      if (this.logger) {
+        this.logger.error('buffer', 'Buffer flush failed', { chatId, error: error.message });
+      }
+      return null;
+    });
+
+    this.pending.add(delivery);
+    delivery.then(() => this.pending.delete(delivery));
+    return delivery;
+  }
+
+  /**
+   * Flushes every waiting buffer now and waits for deliveries in flight.
+   */
+  async stop() {
+    this.stopping = true;
+    Array.from(this.timers.entries()).forEach(([chatId, { lastId }]) => {
+      this.cancel(chatId);
+      this.dispatch(chatId, () => this.take(chatId, lastId));
+    });
+
+    await Promise.all(Array.from(this.pending));
+  }
+}
+
+module.exports = { BufferService };
@@ -0,0 +1,138 @@
+/**
+ * 🛡️ N8N Smart Buffer - Circuit Breaker
+ * Closed → open → half-open state machine for Redis and ML calls
+ *
+ * Settings come from `circuitBreaker.<name>` in the industry config:
+ *   threshold    - consecutive failures (within resetTimeout) that open the circuit
+ *   timeout      - ms the circuit stays open before a half-open trial call
+ *   resetTimeout - ms without failures after which the failure count resets
+ */
+
+const { EventEmitter } = require('events');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`Circuit '${name}' is open`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.circuit = name;
+  }
+}
+
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+
+    this.name = name;
+    this.threshold = options.threshold || 3;
+    this.timeout = options.timeout || 30000;
+    this.resetTimeout = options.resetTimeout || 60000;
+
+    this.currentState = STATES.CLOSED;
+    this.failures = 0;
+    this.lastFailureAt = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.currentState === STATES.OPEN && Date.now() - this.openedAt >= this.timeout) {
+      this.transition(STATES.HALF_OPEN);
+    }
+    return this.currentState;
+  }
+
+  isOpen() {
+    return this.state === STATES.OPEN;
+  }
+
+  transition(state) {
+    if (state === this.currentState) {
+      return;
+    }
+
+    const previous = this.currentState;
+    this.currentState = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (state === STATES.CLOSED) {
+      this.failures = 0;
+    }
+
+    this.emit('stateChange', { circuit: this.name, from: previous, to: state, failures: this.failures });
+    this.emit(state, { circuit: this.name, from: previous, failures: this.failures });
+  }
+
+  async execute(fn) {
+    const state = this.state;
+
+    if (state === STATES.OPEN || (state === STATES.HALF_OPEN && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name);
+    }
+
+    const isTrial = state === STATES.HALF_OPEN;
+    if (isTrial) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure();
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    if (this.currentState === STATES.HALF_OPEN) {
+      this.transition(STATES.CLOSED);
+    } else {
+      // Only consecutive failures count toward the threshold
+      this.failures = 0;
+    }
+  }
+
+  onFailure() {
+    const now = Date.now();
+
+    if (now - this.lastFailureAt > this.resetTimeout) {
+      this.failures = 0;
+    }
+    this.failures++;
+    this.lastFailureAt = now;
+    this.emit('failure', { circuit: this.name, failures: this.failures });
+
+    if (this.currentState === STATES.HALF_OPEN || this.failures >= this.threshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  reset() {
+    this.transition(STATES.CLOSED);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt || null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, STATES };
@@ -0,0 +1,363 @@
+/**
+ * 🧩 N8N Smart Buffer - Config Loader
+ * Resolves the industry preset and overlays environment variables on top of it
+ *
+ * INDUSTRY_CONFIG picks a preset (`<name>_config.js` in the project root);
+ * INDUSTRY_CONFIG=custom loads CUSTOM_CONFIG_PATH instead (relative to the cwd).
+ * Variables listed in ENV_OVERRIDES replace the matching config value when set
+ * and non-empty; every value keeps track of where it came from.
+ *
+ * A config may declare `extends: 'medical'` (a preset name, or a path relative
+ * to the extending file) and list only what differs. Merge rules:
+ *   objects            - merged key by key; `null` removes a key, `undefined` keeps the base value
+ *   plain arrays       - replace the base array
+ *   { $append: [...] } - adds entries after the base ones
+ *   { $replace: [...] }- replaces the base array (same as a plain array)
+ *   { $replace: {...} }- replaces the base object instead of merging into it
+ *                        (e.g. to put intents in a different priority order)
+ *   { $remove: [...] } - drops base entries by id: a string matches `{ id }` / `{ name }`
+ *                        entries, a RegExp matches an identical pattern
+ * Directives combine as remove, then append. Pattern entries may be written as
+ * `{ id: 'greeting', pattern: /.../ }` so children can remove them; they are
+ * unwrapped to plain RegExps once the chain is merged.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolvePath } = require('./config-rules.js');
+
+const PRESET_DIR = path.join(__dirname, '..');
+const PRESET_SUFFIX = '_config.js';
+const DEFAULT_INDUSTRY = 'medical';
+const DEFAULT_PROFILE = 'balanced';
+const ARRAY_DIRECTIVES = ['$append', '$replace', '$remove'];
+
+// `{profile}` is the TIMING_PROFILE being tuned; `*` applies to every existing key
+const ENV_OVERRIDES = [
+  { env: 'REDIS_URL', path: 'redis.url', type: 'string' },
+  { env: 'BUFFER_TTL', path: 'buffer.ttl', type: 'integer' },
+  { env: 'BUFFER_MAX_SIZE', path: 'buffer.maxSize', type: 'integer' },
+  { env: 'BUFFER_MAX_SIZE_KB', path: 'buffer.maxSizeKB', type: 'integer' },
+  { env: 'CLEANUP_INTERVAL', path: 'buffer.cleanupInterval', type: 'integer', scale: 0.001 }, // ms → s
+  { env: 'TIMING_URGENT', path: 'timing.profiles.{profile}.urgent', type: 'integer' },
+  { env: 'TIMING_SIMPLE', path: 'timing.profiles.{profile}.simple', type: 'integer' },
+  { env: 'TIMING_COMPLEX', path: 'timing.profiles.{profile}.complex', type: 'integer' },
+  { env: 'CIRCUIT_BREAKER_REDIS_THRESHOLD', path: 'circuitBreaker.redis.threshold', type: 'integer' },
+  { env: 'CIRCUIT_BREAKER_REDIS_TIMEOUT', path: 'circuitBreaker.redis.timeout', type: 'integer' },
+  { env: 'CIRCUIT_BREAKER_ML_THRESHOLD', path: 'circuitBreaker.ml.threshold', type: 'integer' },
+  { env: 'CIRCUIT_BREAKER_ML_TIMEOUT', path: 'circuitBreaker.ml.timeout', type: 'integer' },
+  { env: 'CLINIC_TIMEZONE', path: 'semantic.resolution.timezone', type: 'string' },
+  { env: 'CALLBACK_URL', path: 'service.callback.url', type: 'string' },
+  { env: 'ML_ENABLED', path: 'ml.enabled', type: 'boolean' },
+  { env: 'ML_TIMEOUT', path: 'ml.timeouts.*', type: 'integer' },
+  { env: 'METRICS_RETENTION_REALTIME', path: 'metrics.retention.realtime', type: 'integer' },
+  { env: 'METRICS_RETENTION_AGGREGATED', path: 'metrics.retention.aggregated', type: 'integer' },
+  { env: 'ALERTS_ENABLED', path: 'metrics.alerts.enabled', type: 'boolean' },
+  { env: 'RATE_LIMIT_ENABLED', path: 'security.rateLimiting.enabled', type: 'boolean' },
+  { env: 'RATE_LIMIT_WINDOW', path: 'security.rateLimiting.windowMs', type: 'integer' },
+  { env: 'RATE_LIMIT_MAX_REQUESTS', path: 'security.rateLimiting.maxRequests', type: 'integer' }
+];
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+let cached = null;
+
+function coerce(override, raw) {
+  const text = String(raw).trim();
+
+  if (override.type === 'boolean') {
+    const value = BOOLEANS[text.toLowerCase()];
+    if (value === undefined) {
+      throw new Error(`${override.env} must be true or false (got '${raw}')`);
+    }
+    return value;
+  }
+
+  if (override.type === 'integer' || override.type === 'number') {
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value) || (override.type === 'integer' && !Number.isInteger(value))) {
+      throw new Error(`${override.env} must be ${override.type === 'integer' ? 'an integer' : 'a number'} (got '${raw}')`);
+    }
+    return override.scale ? Math.round(value * override.scale) : value;
+  }
+
+  return text;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  // RegExps, functions and primitives are shared
+  return value;
+}
+
+function setPath(target, dottedPath, value) {
+  const segments = dottedPath.split('.');
+  const last = segments.pop();
+  const parent = segments.reduce((node, segment) => {
+    if (!node[segment] || typeof node[segment] !== 'object') {
+      node[segment] = {};
+    }
+    return node[segment];
+  }, target);
+
+  parent[last] = value;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isDirective(value) {
+  return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+function isLeaf(value) {
+  return !value || typeof value !== 'object' || Array.isArray(value) || value instanceof RegExp || isDirective(value);
+}
+
+function leaves(value, prefix = '') {
+  if (isLeaf(value) && prefix) {
+    return [{ path: prefix, value }];
+  }
+  return Object.keys(value || {}).flatMap(key => leaves(value[key], prefix ? `${prefix}.${key}` : key));
+}
+
+function availablePresets(dir = PRESET_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(PRESET_SUFFIX))
+    .map(file => file.slice(0, -PRESET_SUFFIX.length))
+    .sort();
+}
+
+function presetFile(name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Invalid preset name '${name}'`);
+  }
+
+  const file = path.join(PRESET_DIR, `${name}${PRESET_SUFFIX}`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown preset '${name}' (available: ${availablePresets().join(', ')}, custom)`);
+  }
+  return file;
+}
+
+function matchesReference(entry, reference) {
+  if (reference instanceof RegExp) {
+    const pattern = isPlainObject(entry) ? entry.pattern : entry;
+    return pattern instanceof RegExp && String(pattern) === String(reference);
+  }
+  return isPlainObject(entry) && (entry.id || entry.name) === reference;
+}
+
+function mergeArray(base, directive, at) {
+  const unknown = Object.keys(directive).filter(key => !ARRAY_DIRECTIVES.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown merge directive(s) ${unknown.join(', ')} at '${at}' (expected ${ARRAY_DIRECTIVES.join(', ')})`);
+  }
+
+  let entries = directive.$replace ? clone(directive.$replace) : base.slice();
+
+  (directive.$remove || []).forEach(reference => {
+    const kept = entries.filter(entry => !matchesReference(entry, reference));
+    if (kept.length === entries.length) {
+      throw new Error(`$remove at '${at}' matched nothing: ${String(reference)}`);
+    }
+    entries = kept;
+  });
+
+  return entries.concat(clone(directive.$append || []));
+}
+
+function merge(base, override, at = '') {
+  if (isDirective(override) && isPlainObject(override.$replace)) {
+    if (Object.keys(override).length > 1) {
+      throw new Error(`An object $replace at '${at}' can't be combined with other directives`);
+    }
+    return clone(override.$replace);
+  }
+  if (isDirective(override)) {
+    return mergeArray(Array.isArray(base) ? base : [], override, at);
+  }
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return clone(override);
+  }
+
+  const result = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else if (value !== undefined) {
+      result[key] = merge(base[key], value, at ? `${at}.${key}` : key);
+    }
+  });
+  return result;
+}
+
+// `{ id, pattern }` entries only exist to be addressable while merging
+function unwrapPatterns(value) {
+  if (Array.isArray(value)) {
+    return value.map(entry => (isPlainObject(entry) && entry.id && entry.pattern instanceof RegExp ?
+      entry.pattern :
+      unwrapPatterns(entry)));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, unwrapPatterns(field)]));
+  }
+  return value;
+}
+
+/**
+ * Resolves a config file and its `extends` chain, base first.
+ *
+ * @returns {{ config: object, sources: Map<string, string>, chain: string[] }}
+ */
+function resolvePreset(file, seen = []) {
+  if (seen.includes(file)) {
+    throw new Error(`Circular extends: ${seen.concat(file).map(item => path.basename(item)).join(' → ')}`);
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Configuration file not found: ${file}`);
+  }
+
+  const { extends: parent, ...own } = require(file);
+  const source = `preset ${path.basename(file)}`;
+
+  if (!parent) {
+    const config = clone(own);
+    return { config, sources: new Map(leaves(config).map(leaf => [leaf.path, source])), chain: [file] };
+  }
+
+  const baseFile = /^[./]/.test(parent) ? path.resolve(path.dirname(file), parent) : presetFile(parent);
+  const base = resolvePreset(baseFile, seen.concat(file));
+  const config = merge(base.config, own);
+  const ownPaths = new Set(leaves(own).map(leaf => leaf.path));
+  // Values under a replaced object belong to the child as well
+  const isOwn = leafPath => leafPath.split('.').some((_, index, segments) =>
+    ownPaths.has(segments.slice(0, index + 1).join('.'))
+  );
+  const sources = new Map(leaves(config).map(leaf =>
+    [leaf.path, isOwn(leaf.path) ? source : (base.sources.get(leaf.path) || source)]
+  ));
+
+  return { config, sources, chain: base.chain.concat(file) };
+}
+
+/**
+ * @returns {{ name: string, file: string }} The preset name and absolute file path
+ */
+function resolveConfigPath(env = process.env, cwd = process.cwd()) {
+  const name = env.INDUSTRY_CONFIG || DEFAULT_INDUSTRY;
+
+  if (name === 'custom') {
+    if (!env.CUSTOM_CONFIG_PATH) {
+      throw new Error('INDUSTRY_CONFIG=custom requires CUSTOM_CONFIG_PATH');
+    }
+    return { name, file: path.resolve(cwd, env.CUSTOM_CONFIG_PATH) };
+  }
+
+  try {
+    return { name, file: presetFile(name) };
+  } catch (error) {
+    throw new Error(`INDUSTRY_CONFIG: ${error.message}`);
+  }
+}
+
+/**
+ * Loads the preset (resolving `extends`) and applies env overrides. Preset
+ * modules themselves are never mutated.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment, defaults to process.env
+ * @param {string} [options.cwd] - Base for CUSTOM_CONFIG_PATH
+ * @returns {{ name: string, file: string, chain: string[], config: object, sources: Map<string, string>, version: string }}
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const { name, file } = resolveConfigPath(env, options.cwd);
+
+  const resolved = resolvePreset(file);
+  const config = unwrapPatterns(resolved.config);
+  const { sources, chain } = resolved;
+  const profile = env.TIMING_PROFILE || DEFAULT_PROFILE;
+
+  ENV_OVERRIDES.forEach(override => {
+    const raw = env[override.env];
+    if (raw === undefined || raw === '') {
+      return;
+    }
+
+    const value = coerce(override, raw);
+    const pattern = override.path.replace('{profile}', profile);
+    const targets = pattern.includes('*') ? resolvePath(config, pattern).map(match => match.path) : [pattern];
+
+    targets.forEach(target => {
+      setPath(config, target, value);
+      sources.set(target, `env ${override.env}`);
+    });
+  });
+
+  return { name, file, chain, config, sources, version: configVersion(config) };
+}
+
+// Config shared by components constructed without an explicit one
+function getConfig() {
+  if (!cached) {
+    cached = loadConfig().config;
+  }
+  return cached;
+}
+
+// Called by ConfigWatcher so components created after a reload get the new config
+function setConfig(config) {
+  cached = config;
+}
+
+/**
+ * Short content hash of a config, stamped on analyses and decisions so every
+ * output can be traced to the config that produced it.
+ */
+function configVersion(config) {
+  const serialized = JSON.stringify(config, (key, value) =>
+    (value instanceof RegExp || typeof value === 'function' ? String(value) : value)
+  );
+  return crypto.createHash('sha256').update(serialized || '').digest('hex').slice(0, 12);
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return '(unset)';
+  }
+  if (Array.isArray(value) && value.some(item => item instanceof RegExp)) {
+    return `[${value.length} patterns]`;
+  }
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * One `path = value  ← source` line per config value, in config order.
+ */
+function describeConfig({ config, sources }) {
+  return leaves(config).map(leaf =>
+    `${leaf.path} = ${formatValue(leaf.value)}  ← ${sources.get(leaf.path) || 'unknown'}`
+  );
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  setConfig,
+  configVersion,
+  resolveConfigPath,
+  availablePresets,
+  describeConfig,
+  ENV_OVERRIDES
+};
@@ -0,0 +1,151 @@
+/**
+ * 📏 N8N Smart Buffer - Config Rules
+ * Enforces the `validation` block of an industry config
+ *
+ *   required: ['redis.url']                       - paths that must be set
+ *   rules: {
+ *     'buffer.ttl': { type: 'number', min: 60, max: 3600 },
+ *     'timing.profiles.*.urgent': { type: 'number', lte: 'simple' },
+ *     'security.redaction.entities.*': { enum: ['mask', 'hash', 'keep'] }
+ *   }
+ *
+ * `*` matches every key of an object or index of an array. Cross-field options
+ * (lt, lte, gt, gte) name a sibling field, or an absolute dotted path when the
+ * reference contains a dot. Rules on paths that are not set are skipped unless
+ * the rule has `required: true`.
+ */
+
+const TYPES = {
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  regexp: value => value instanceof RegExp,
+  function: value => typeof value === 'function'
+};
+
+const RELATIONS = {
+  lt: { test: (a, b) => a < b, label: '<' },
+  lte: { test: (a, b) => a <= b, label: '<=' },
+  gt: { test: (a, b) => a > b, label: '>' },
+  gte: { test: (a, b) => a >= b, label: '>=' }
+};
+
+const RULE_OPTIONS = new Set(['type', 'min', 'max', 'enum', 'pattern', 'required', ...Object.keys(RELATIONS)]);
+
+/**
+ * Expands a dotted path with `*` wildcards into the concrete paths present in
+ * the config. Paths whose parents are missing resolve to `undefined`.
+ *
+ * @returns {Array<{ path: string, value: * }>}
+ */
+function resolvePath(config, path) {
+  let matches = [{ path: [], value: config }];
+
+  path.split('.').forEach(segment => {
+    matches = matches.flatMap(({ path: prefix, value }) => {
+      if (segment !== '*') {
+        const child = value !== null && typeof value === 'object' ? value[segment] : undefined;
+        return [{ path: [...prefix, segment], value: child }];
+      }
+      if (value === null || typeof value !== 'object') {
+        return [];
+      }
+      return Object.keys(value).map(key => ({ path: [...prefix, key], value: value[key] }));
+    });
+  });
+
+  return matches.map(match => ({ path: match.path.join('.'), value: match.value }));
+}
+
+function describe(value) {
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+  return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+function checkValue(config, path, value, rule) {
+  const errors = [];
+
+  if (rule.type && !(TYPES[rule.type] && TYPES[rule.type](value))) {
+    return [`must be of type ${rule.type} (got ${describe(value)})`];
+  }
+  if (typeof rule.min === 'number' && value < rule.min) {
+    errors.push(`must be >= ${rule.min} (got ${describe(value)})`);
+  }
+  if (typeof rule.max === 'number' && value > rule.max) {
+    errors.push(`must be <= ${rule.max} (got ${describe(value)})`);
+  }
+  if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+    errors.push(`must be one of ${rule.enum.map(describe).join(', ')} (got ${describe(value)})`);
+  }
+  if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+    errors.push(`must match ${rule.pattern} (got ${describe(value)})`);
+  }
+
+  Object.entries(RELATIONS).forEach(([option, relation]) => {
+    if (!rule[option]) {
+      return;
+    }
+
+    const reference = rule[option].includes('.') ?
+      rule[option] :
+      path.split('.').slice(0, -1).concat(rule[option]).join('.');
+    const [{ value: other }] = resolvePath(config, reference);
+
+    if (other !== undefined && !relation.test(value, other)) {
+      errors.push(`must be ${relation.label} ${reference} (${describe(value)} vs ${describe(other)})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Checks a config against its `validation` block (or the one given).
+ *
+ * @returns {Array<{ path: string, message: string }>} One entry per violation
+ */
+function validateConfig(config, validation = config.validation || {}) {
+  const violations = [];
+
+  (validation.required || []).forEach(path => {
+    resolvePath(config, path).forEach(match => {
+      if (match.value === undefined || match.value === null || match.value === '') {
+        violations.push({ path: match.path, message: 'is required' });
+      }
+    });
+  });
+
+  Object.entries(validation.rules || {}).forEach(([path, rule]) => {
+    const unknown = Object.keys(rule).filter(option => !RULE_OPTIONS.has(option));
+    if (unknown.length > 0) {
+      violations.push({ path, message: `unknown rule option(s): ${unknown.join(', ')}` });
+      return;
+    }
+    if (rule.type && !TYPES[rule.type]) {
+      violations.push({ path, message: `unknown rule type '${rule.type}'` });
+      return;
+    }
+
+    resolvePath(config, path).forEach(match => {
+      if (match.value === undefined) {
+        if (rule.required) {
+          violations.push({ path: match.path, message: 'is required' });
+        }
+        return;
+      }
+
+      checkValue(config, match.path, match.value, rule).forEach(message => {
+        violations.push({ path: match.path, message });
+      });
+    });
+  });
+
+  return violations;
+}
+
+module.exports = { validateConfig, resolvePath };
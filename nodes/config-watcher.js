@@ -0,0 +1,224 @@
+/**
+ * 👀 N8N Smart Buffer - Config Watcher
+ * Reloads the active config (and its `extends` chain) when a file changes
+ *
+ * Each change is re-validated with the `validation` rules and alert trigger
+ * checks before anything is swapped. Valid configs are applied to every
+ * attached component in the same tick, so no message sees half a config;
+ * invalid ones keep the previous config and raise a `config_reload_rejected`
+ * alert until a valid version loads.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, setConfig } = require('./config-loader.js');
+const { validateConfig } = require('./config-rules.js');
+const { compileCondition } = require('./alert-engine.js');
+
+const DEFAULT_DEBOUNCE = 250;
+const REJECTED_ALERT = 'config_reload_rejected';
+
+function configViolations(config) {
+  const violations = validateConfig(config).map(violation => `${violation.path} ${violation.message}`);
+  const triggers = (config.metrics && config.metrics.alerts && config.metrics.alerts.triggers) || [];
+
+  triggers.forEach(trigger => {
+    try {
+      compileCondition(trigger.condition);
+    } catch (error) {
+      violations.push(`alert trigger '${trigger.name}': ${error.message}`);
+    }
+  });
+
+  return violations;
+}
+
+class ConfigWatcher extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.env] - Environment, defaults to process.env
+   * @param {string} [options.cwd] - Base for CUSTOM_CONFIG_PATH
+   * @param {number} [options.debounce] - ms to wait for an editor to finish writing
+   * @param {AlertNotifier} [options.notifier] - Receives the rejected-reload alert
+   * @param {Logger} [options.logger]
+   */
+  constructor(options = {}) {
+    super();
+
+    this.env = options.env || process.env;
+    this.cwd = options.cwd;
+    this.debounce = options.debounce || DEFAULT_DEBOUNCE;
+    this.notifier = options.notifier || null;
+    this.logger = options.logger || null;
+    this.components = [];
+    this.watchers = [];
+    this.timer = null;
+
+    this.current = this.build();
+    setConfig(this.current.config);
+  }
+
+  get config() {
+    return this.current.config;
+  }
+
+  get version() {
+    return this.current.version;
+  }
+
+  build() {
+    const loaded = loadConfig({ env: this.env, cwd: this.cwd });
+    const violations = configViolations(loaded.config);
+
+    if (violations.length > 0) {
+      const error = new Error(`Invalid configuration (${path.basename(loaded.file)}):\n  ${violations.join('\n  ')}`);
+      error.violations = violations;
+      throw error;
+    }
+
+    return { ...loaded, loadedAt: Date.now() };
+  }
+
+  /**
+   * Components expose `reconfigure(config)`; it must throw without changing
+   * anything when it can't take the new config.
+   */
+  attach(...components) {
+    this.components.push(...components);
+    return this;
+  }
+
+  // Loaded presets are cached by require(); drop them so edits are read
+  forget(files) {
+    files.forEach(file => {
+      delete require.cache[file];
+    });
+  }
+
+  apply(next) {
+    const applied = [];
+
+    try {
+      this.components.forEach(component => {
+        component.reconfigure(next.config);
+        applied.push(component);
+      });
+    } catch (error) {
+      applied.forEach(component => component.reconfigure(this.current.config));
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {boolean} true when a new config version was swapped in
+   */
+  reload() {
+    const previous = this.current;
+    let next;
+
+    this.forget(previous.chain);
+
+    try {
+      next = this.build();
+      if (next.version === previous.version) {
+        // An edit reverted to the running version still ends a rejected reload
+        this.resolveRejected();
+        return false;
+      }
+      this.apply(next);
+    } catch (error) {
+      this.reject(error);
+      return false;
+    }
+
+    this.current = next;
+    setConfig(next.config);
+
+    if (next.chain.join() !== previous.chain.join()) {
+      this.watch();
+    }
+    this.resolveRejected();
+    if (this.logger) {
+      this.logger.info('config', 'Configuration reloaded', { from: previous.version, to: next.version });
+    }
+
+    this.emit('change', next, previous);
+    return true;
+  }
+
+  resolveRejected() {
+    if (this.notifier) {
+      this.notifier.resolve({ name: REJECTED_ALERT, severity: 'warning', condition: 'config reload', value: 0 });
+    }
+  }
+
+  reject(error) {
+    const violations = error.violations || [error.message];
+
+    if (this.notifier) {
+      this.notifier.notify({
+        name: REJECTED_ALERT,
+        severity: 'warning',
+        condition: 'config reload',
+        value: violations.length,
+        threshold: 0,
+        raisedAt: Date.now(),
+        activeVersion: this.current.version,
+        violations
+      });
+    }
+    if (this.logger) {
+      this.logger.warn('config', 'Configuration change rejected', { activeVersion: this.current.version, violations });
+    }
+
+    this.emit('rejected', error);
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.reload(), this.debounce);
+    this.timer.unref();
+  }
+
+  // Directories are watched (not files) because editors often save by rename
+  watch() {
+    this.unwatch();
+
+    const byDirectory = new Map();
+    this.current.chain.forEach(file => {
+      const directory = path.dirname(file);
+      byDirectory.set(directory, (byDirectory.get(directory) || new Set()).add(path.basename(file)));
+    });
+
+    byDirectory.forEach((names, directory) => {
+      const watcher = fs.watch(directory, (event, filename) => {
+        if (!filename || names.has(String(filename))) {
+          this.schedule();
+        }
+      });
+      watcher.unref();
+      this.watchers.push(watcher);
+    });
+  }
+
+  unwatch() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  start() {
+    if (this.watchers.length === 0) {
+      this.watch();
+    }
+    return this;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.unwatch();
+  }
+}
+
+module.exports = { ConfigWatcher, configViolations };
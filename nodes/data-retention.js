@@ -0,0 +1,266 @@
+/**
+ * 🗑️ N8N Smart Buffer - Data Retention
+ * Scheduled purge of `security.dataRetention` windows and per-patient erasure
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { BufferManager } = require('./buffer-manager.js');
+const { MetricsCollector } = require('./metrics-collector.js');
+const { RateLimiter } = require('./rate-limiter.js');
+const { LOG_KEY } = require('./logger.js');
+const { PIIRedactor } = require('./pii-redactor.js');
+
+const DEFAULT_PURGE_INTERVAL = 3600000;
+
+// Phones match on their trailing digits so +54 9 11..., 011... and 11... all hit
+const PHONE_MATCH_DIGITS = 10;
+
+// Numbers written with separators ("30.123.456", "+54 11 2233-4455")
+const NUMBER_PATTERN = /\+?\d[\d\s.\-()]*\d/g;
+
+function digitsOf(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function numbersIn(text) {
+  return (String(text || '').match(NUMBER_PATTERN) || []).map(digitsOf);
+}
+
+async function scanKeys(redis, pattern) {
+  const found = [];
+  let cursor = '0';
+
+  do {
+    const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+    cursor = nextCursor;
+    found.push(...keys);
+  } while (cursor !== '0');
+
+  return found;
+}
+
+class DataRetention {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} options
+   * @param {object} options.redis - ioredis client
+   * @param {BufferManager} [options.bufferManager]
+   * @param {MetricsCollector} [options.metrics]
+   * @param {RateLimiter} [options.rateLimiter]
+   * @param {PIIRedactor} [options.redactor] - Finds hashed identifiers in redacted log entries
+   * @param {number} [options.purgeInterval] - ms between scheduled purges (default 1h)
+   */
+  constructor(config = getConfig(), options = {}) {
+    const retention = (config.security && config.security.dataRetention) || {};
+
+    this.bufferRetention = retention.bufferData || 86400;
+    this.metricsRetention = retention.metrics || 604800;
+    this.logsRetention = retention.logs || 259200;
+    this.contextKeys = retention.contextKeys || [];
+
+    this.redis = options.redis;
+    this.bufferManager = options.bufferManager || new BufferManager(config, { redis: this.redis });
+    this.metrics = options.metrics || new MetricsCollector(config, { redis: this.redis });
+    this.rateLimiter = options.rateLimiter || new RateLimiter(config, { redis: this.redis });
+    this.redactor = options.redactor || new PIIRedactor(config);
+    this.purgeInterval = options.purgeInterval || DEFAULT_PURGE_INTERVAL;
+    this.timer = null;
+  }
+
+  async purge(now = Date.now()) {
+    const buffers = await this.bufferManager.cleanup(this.bufferRetention);
+
+    const metricsCutoff = now - this.metricsRetention * 1000;
+    const aggregateKeys = await scanKeys(this.redis, `${this.metrics.keyPrefix}agg:*`);
+    const expiredAggregates = aggregateKeys.filter(key => Number(key.split(':').pop()) < metricsCutoff);
+    if (expiredAggregates.length > 0) {
+      await this.redis.del(...expiredAggregates);
+    }
+
+    const realtimeKeys = await scanKeys(this.redis, `${this.metrics.keyPrefix}rt:*`);
+    let realtimeSamples = 0;
+    for (const key of realtimeKeys) {
+      realtimeSamples += await this.redis.zremrangebyscore(key, '-inf', metricsCutoff);
+    }
+
+    const logs = await this.redis.zremrangebyscore(LOG_KEY, '-inf', now - this.logsRetention * 1000);
+
+    return {
+      purgedAt: new Date(now).toISOString(),
+      buffers: { scanned: buffers.scanned, messages: buffers.removed },
+      metrics: { aggregates: expiredAggregates.length, samples: realtimeSamples },
+      logs
+    };
+  }
+
+  /**
+   * Erases every buffer, log entry, rate-limit window and context key tied to
+   * a patient. Any combination of identifiers may be given.
+   *
+   * @param {object} identifiers - { chatId, dni, phone }
+   * @returns {object} Deletion report
+   */
+  async erase({ chatId, dni, phone } = {}) {
+    if (!chatId && !dni && !phone) {
+      throw new Error('At least one of chatId, dni or phone is required');
+    }
+
+    const dniDigits = digitsOf(dni);
+    const phoneDigits = digitsOf(phone).slice(-PHONE_MATCH_DIGITS);
+
+    const isPatientChat = (candidate) => {
+      if (!candidate) {
+        return false;
+      }
+      if (chatId && String(candidate) === String(chatId)) {
+        return true;
+      }
+      return Boolean(phoneDigits) && digitsOf(candidate).endsWith(phoneDigits);
+    };
+
+    const mentionsPatient = (text) => numbersIn(text).some(digits =>
+      (Boolean(dniDigits) && digits.includes(dniDigits)) ||
+      (Boolean(phoneDigits) && digits.includes(phoneDigits))
+    );
+
+    // Log entries carry hashed identifiers once redacted; the redactor
+    // normalizes the phone the same way it did when the entry was written
+    const hashedTokens = [['dni', dniDigits], ['phone', phone]]
+      .filter(([type, value]) => value && this.redactor.actions[type] === 'hash')
+      .map(([type, value]) => this.redactor.token(type, value));
+
+    const report = {
+      erasedAt: new Date().toISOString(),
+      buffers: { keys: 0, messages: 0 },
+      logs: 0,
+      rateLimitKeys: 0,
+      contextKeys: 0,
+      // Metric series are aggregated counters with no chat identifiers
+      metrics: 0
+    };
+
+    const chatIds = new Set(chatId ? [String(chatId)] : []);
+
+    // Buffers: drop whole buffers of the patient's chat, strip mentions elsewhere
+    const bufferKeys = await scanKeys(this.redis, `${this.bufferManager.keyPrefix}*`);
+    for (const key of bufferKeys) {
+      const bufferChatId = key.slice(this.bufferManager.keyPrefix.length);
+
+      if (isPatientChat(bufferChatId)) {
+        chatIds.add(bufferChatId);
+        const [[, length]] = await this.redis.multi().llen(key).del(key).exec();
+        report.buffers.keys++;
+        report.buffers.messages += length;
+        continue;
+      }
+
+      // WATCH so a message appended mid-rewrite is retried, not lost
+      let done = false;
+      while (!done) {
+        await this.redis.watch(key);
+        const [entries, pttl] = await Promise.all([this.redis.lrange(key, 0, -1), this.redis.pttl(key)]);
+
+        // Encrypted records are matched on their decrypted content
+        const kept = entries.filter(raw => {
+          let content = raw;
+          try {
+            content = JSON.stringify(this.bufferManager.decode(raw));
+          } catch (error) {
+            // Undecryptable records are matched on what is visible
+          }
+          return !mentionsPatient(content);
+        });
+
+        if (kept.length === entries.length) {
+          await this.redis.unwatch();
+          break;
+        }
+
+        // The buffer keeps the TTL it had left
+        const transaction = this.redis.multi().del(key);
+        if (kept.length > 0) {
+          transaction.rpush(key, ...kept);
+          if (pttl > 0) {
+            transaction.pexpire(key, pttl);
+          }
+        }
+
+        // exec() resolves to null when the watched key changed; retry then
+        done = (await transaction.exec()) !== null;
+        if (done) {
+          report.buffers.messages += entries.length - kept.length;
+        }
+      }
+    }
+
+    // Buffers claimed by a delivery in flight (`<claimPrefix><chatId>:<uuid>`)
+    const claimKeys = await scanKeys(this.redis, `${this.bufferManager.claimPrefix}*`);
+    for (const key of claimKeys) {
+      const claimChatId = key.slice(this.bufferManager.claimPrefix.length, key.lastIndexOf(':'));
+
+      if (isPatientChat(claimChatId)) {
+        chatIds.add(claimChatId);
+        report.buffers.messages += await this.redis.llen(key);
+        await this.redis.del(key);
+        report.buffers.keys++;
+      }
+    }
+
+    // Logs: entries tagged with the chat (as its chat token once redacted) or
+    // mentioning the identifiers
+    const chatTokens = new Set([...chatIds, ...(phone ? [phone] : [])].map(id => this.redactor.chatToken(id)));
+    const logEntries = await this.redis.zrange(LOG_KEY, 0, -1);
+    const erasedLogs = logEntries.filter(raw => {
+      let entry = {};
+      try {
+        entry = JSON.parse(raw);
+      } catch (error) {
+        // Unparseable entries are matched on their raw text only
+      }
+      return isPatientChat(entry.chatId) || mentionsPatient(raw) ||
+        hashedTokens.some(token => raw.includes(token)) ||
+        (entry.chatId && (chatIds.has(String(entry.chatId)) || chatTokens.has(String(entry.chatId))));
+    });
+    if (erasedLogs.length > 0) {
+      await this.redis.zrem(LOG_KEY, ...erasedLogs);
+    }
+    report.logs = erasedLogs.length;
+
+    // Per-chat keys: rate limit windows and configured context keys
+    for (const id of chatIds) {
+      report.rateLimitKeys += await this.redis.del(this.rateLimiter.key(id));
+
+      for (const pattern of this.contextKeys) {
+        const keys = await scanKeys(this.redis, pattern.replace(/\{chatId\}/g, id));
+        if (keys.length > 0) {
+          report.contextKeys += await this.redis.del(...keys);
+        }
+      }
+    }
+
+    report.chats = Array.from(chatIds);
+    return report;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.purge().catch(() => {
+        // Retried on the next tick; Redis TTLs still bound most data
+      });
+    }, this.purgeInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = { DataRetention };
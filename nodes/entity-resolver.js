@@ -0,0 +1,518 @@
+/**
+ * 📅 N8N Smart Buffer - Entity Resolver
+ * Turns raw entity matches into structured, validated values with spans and confidence
+ *
+ *   date        - "mañana", "el lunes", "el 5 de marzo", "5/3" → "2027-03-05"
+ *   time        - "a las 5 de la tarde", "17:30", "10 y media" → "17:00"
+ *   period      - "por la mañana", "de tarde" without an hour → morning | afternoon | night
+ *                 ("mañana de mañana" is tomorrow morning; "el turno de mañana" is tomorrow)
+ *   datetime    - a date and a time in the same message → ISO 8601 in the clinic timezone
+ *   phone       - "11 15 5555-1234" → "+5491155551234" (E.164, `+54` mobile rules)
+ *   dni         - 7-8 digits within the plausible range; wins over phone unless the
+ *                 surrounding words say otherwise ("mi cel es ...")
+ *   insurance,
+ *   specialties - mapped to canonical ids by prefix ("cardióloga" → cardiology)
+ *
+ * Other `semantic.patterns.entities` types pass through with their folded text as
+ * value. Relative dates are read in Spanish; numeric dates and times in any language.
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { foldAccents } = require('./text-normalizer.js');
+
+const DEFAULT_TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+const DEFAULT_PHONE = {
+  countryCode: '54',
+  mobilePrefix: '9',         // Between country and area code in E.164 mobiles
+  localMobilePrefix: '15',   // Dialled after the area code inside the country
+  trunkPrefix: '0',
+  defaultAreaCode: '11',
+  nationalLength: 10         // Area code + subscriber number
+};
+
+const DEFAULT_DNI = { min: 1000000, max: 99999999 };
+
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const HOUR_WORDS = ['cero', 'una', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez', 'once', 'doce'];
+
+const RELATIVE_DAYS = [
+  { pattern: /\bpasado\s+ma[ñn]ana\b/gi, offset: 2 },
+  // "de la mañana" is a time of day, not tomorrow
+  { pattern: /(?<!\b(?:de|por|a|en)\s+la\s+)\bma[ñn]ana\b/gi, offset: 1 },
+  { pattern: /\bhoy\b/gi, offset: 0 }
+];
+
+const WEEKDAY_PATTERN = /\b(?:el\s+)?(?:pr[óo]ximo\s+)?(lunes|martes|mi[ée]rcoles|jueves|viernes|s[áa]bado|domingo)(?:\s+(?:que\s+viene|pr[óo]ximo))?\b/gi;
+const DAY_MONTH_PATTERN = new RegExp(`\\b(?:el\\s+)?(\\d{1,2})\\s+de\\s+(${MONTHS.join('|')})(?:\\s+(?:de|del)\\s+(\\d{4}))?\\b`, 'gi');
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}|\d{2}))?\b(?![/-]\d)/g;
+
+// "de la tarde", "por la mañana", "a la noche", "de tarde"
+const PERIOD_WORDS = '(?:(?:de|por|a|en)\\s+la|de|por)\\s+(ma[ñn]ana|tarde|noche)';
+
+const TIME_PATTERN = new RegExp(
+  '\\b(a\\s+las?\\s+)?' +
+  `(\\d{1,2}|${HOUR_WORDS.join('|')})` +
+  '(?:[:.](\\d{2})(?!\\d)|\\s+y\\s+(media|cuarto))?' +
+  '(?:\\s*(hs|h|horas)\\b)?' +
+  `(?:\\s*(a\\.?m\\.?|p\\.?m\\.?|${PERIOD_WORDS}|del\\s+mediod[íi]a)(?![\\p{L}]))?`,
+  'giu'
+);
+const NOON_PATTERN = /\b(?:al\s+)?mediod[íi]a\b/gi;
+const PERIOD_PATTERN = new RegExp(`\\b${PERIOD_WORDS}\\b`, 'gi');
+// A period said just before the hour ("por la noche a las 10")
+const LEADING_PERIOD_PATTERN = new RegExp(`\\b${PERIOD_WORDS}[\\s,]*$`, 'i');
+const PERIODS = { mañana: 'morning', manana: 'morning', tarde: 'afternoon', noche: 'night' };
+
+// Words just before a number that tell a DNI from a phone ("llamame al ...",
+// "mi documento es el ...")
+const CONTEXT_FILLER = '(?:(?:es|el|al|a|mi|de|del|nro|n°|numero|:)\\W*){0,3}$';
+const DNI_CONTEXT = new RegExp(`\\b(dni|documento|doc|d\\.n\\.i)\\W*${CONTEXT_FILLER}`, 'i');
+const PHONE_CONTEXT = new RegExp(`\\b(tel|telefono|cel|celular|whatsapp|wsp|movil|llamar|llamame|llamenme|contacto)\\W*${CONTEXT_FILLER}`, 'i');
+const CONTEXT_WINDOW = 25;
+
+// Hours below this with no "tarde"/"mañana" are read as afternoon ("a las 5" → 17:00)
+const DEFAULT_ASSUME_PM_BEFORE = 8;
+
+const pad = value => String(value).padStart(2, '0');
+
+function matchesOf(pattern, text) {
+  const global = pattern.flags.includes('g') ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+  global.lastIndex = 0;
+  return Array.from(text.matchAll(global)).filter(match => match[0]);
+}
+
+/**
+ * Config patterns are written without accents ("cardiolog"), so they run on the
+ * folded text; matches carry the original wording. Folding keeps precomposed
+ * characters at the same index, decomposed input is matched as written.
+ */
+function foldedMatchesOf(pattern, text) {
+  const folded = foldAccents(text);
+  if (folded.length !== text.length) {
+    return matchesOf(pattern, text);
+  }
+
+  return matchesOf(pattern, folded).map(match => {
+    match[0] = text.slice(match.index, match.index + match[0].length);
+    return match;
+  });
+}
+
+function dateString(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return dateString(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate());
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant));
+
+  return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+function offsetMinutes(instant, timeZone) {
+  const parts = zonedParts(instant, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUTC - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * ISO 8601 datetime with the timezone's offset at that moment, e.g.
+ * zonedISO('2027-03-05', '17:00', 'America/Argentina/Buenos_Aires') → '2027-03-05T17:00:00-03:00'
+ */
+function zonedISO(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the wall-clock time read as UTC is right except across a DST change
+  let offset = offsetMinutes(wallClock, timeZone);
+  offset = offsetMinutes(wallClock - offset * 60000, timeZone);
+
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${date}T${time}:00${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+class EntityResolver {
+  /**
+   * @param {object} config - Industry configuration
+   */
+  constructor(config = getConfig()) {
+    this.reconfigure(config);
+  }
+
+  reconfigure(config) {
+    const semantic = config.semantic || {};
+    const resolution = semantic.resolution || {};
+    const timezone = resolution.timezone || DEFAULT_TIMEZONE;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone '${timezone}' in semantic.resolution.timezone`);
+    }
+
+    this.timezone = timezone;
+    this.assumePmBefore = resolution.assumePmBefore !== undefined ? resolution.assumePmBefore : DEFAULT_ASSUME_PM_BEFORE;
+    this.phone = { ...DEFAULT_PHONE, ...(resolution.phone || {}) };
+    this.dni = { ...DEFAULT_DNI, ...(resolution.dni || {}) };
+    this.canonical = Object.fromEntries(Object.entries(resolution.canonical || {}).map(([type, ids]) =>
+      // Longest prefixes first so "swiss medical" wins over "swiss"
+      [type, Object.entries(ids || {}).map(([prefix, id]) => [foldAccents(prefix.toLowerCase()), id]).sort((a, b) => b[0].length - a[0].length)]
+    ));
+  }
+
+  today(now) {
+    const parts = zonedParts(now, this.timezone);
+    return dateString(parts.year, parts.month, parts.day);
+  }
+
+  entity(type, match, value, confidence, extra = {}) {
+    return {
+      type,
+      text: match[0],
+      value,
+      start: match.index,
+      end: match.index + match[0].length,
+      confidence,
+      ...extra
+    };
+  }
+
+  resolveDates(text, today, spanish) {
+    const dates = [];
+    const weekdayOf = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    if (spanish) {
+      RELATIVE_DAYS.forEach(({ pattern, offset }) => {
+        matchesOf(pattern, text).forEach(match => dates.push(this.entity('date', match, addDays(today, offset), 0.95)));
+      });
+
+      matchesOf(WEEKDAY_PATTERN, text).forEach(match => {
+        const target = WEEKDAYS.indexOf(foldAccents(match[1].toLowerCase()));
+        // Always the next one: "el lunes" said on a Monday means next week
+        const ahead = (target - weekdayOf(today) + 7) % 7 || 7;
+        dates.push(this.entity('date', match, addDays(today, ahead), 0.85));
+      });
+
+      matchesOf(DAY_MONTH_PATTERN, text).forEach(match => {
+        const [, day, monthName, explicitYear] = match;
+        const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+        dates.push(this.calendarDate(match, today, Number(day), month, explicitYear && Number(explicitYear)));
+      });
+    }
+
+    matchesOf(NUMERIC_DATE_PATTERN, text).forEach(match => {
+      const [, day, month, year] = match;
+      const fullYear = year && (year.length === 2 ? 2000 + Number(year) : Number(year));
+      dates.push(this.calendarDate(match, today, Number(day), Number(month), fullYear, 0.8));
+    });
+
+    return this.mergeWeekdays(dates.filter(Boolean), text);
+  }
+
+  // Explicit dates without a year are the next occurrence from today
+  calendarDate(match, today, day, month, year, confidence = 0.95) {
+    const currentYear = Number(today.slice(0, 4));
+    const candidateYear = year || currentYear;
+
+    if (!isValidDate(candidateYear, month, day)) {
+      return null;
+    }
+
+    let date = dateString(candidateYear, month, day);
+    if (!year && date < today && isValidDate(currentYear + 1, month, day)) {
+      date = dateString(currentYear + 1, month, day);
+    }
+
+    return this.entity('date', match, date, confidence);
+  }
+
+  // "el lunes 5 de marzo" is one date: the explicit part wins, the span covers both
+  mergeWeekdays(dates, text) {
+    const sorted = dates.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    return sorted.reduce((merged, date) => {
+      const previous = merged[merged.length - 1];
+
+      if (previous && date.start < previous.end) {
+        return merged;
+      }
+      if (previous && WEEKDAYS.some(day => foldAccents(previous.text.toLowerCase()).includes(day)) &&
+          /^\s*$/.test(text.slice(previous.end, date.start)) && /\d/.test(date.text)) {
+        merged[merged.length - 1] = {
+          ...date,
+          text: text.slice(previous.start, date.end),
+          start: previous.start,
+          confidence: Math.max(previous.confidence, date.confidence)
+        };
+        return merged;
+      }
+
+      merged.push(date);
+      return merged;
+    }, []);
+  }
+
+  resolveTimes(text) {
+    const times = [];
+
+    matchesOf(TIME_PATTERN, text).forEach(match => {
+      const [, prefix, rawHour, minutes, fraction, unit, period] = match;
+      // A bare number ("tengo 45") is not a time
+      if (!prefix && minutes === undefined && !unit && !period) {
+        return;
+      }
+
+      const wordHour = HOUR_WORDS.indexOf(rawHour.toLowerCase());
+      let hour = wordHour >= 0 ? wordHour : Number(rawHour);
+      const minute = minutes !== undefined ? Number(minutes) : fraction === 'media' ? 30 : fraction === 'cuarto' ? 15 : 0;
+      let confidence = 0.95;
+
+      if (hour > 23 || minute > 59) {
+        return;
+      }
+
+      const leading = period ? null : text.slice(0, match.index).match(LEADING_PERIOD_PATTERN);
+      const spoken = period || (leading && leading[0]);
+      const when = spoken ? foldAccents(spoken.toLowerCase().replace(/\./g, '')) : null;
+      if (when && /pm|tarde|noche|mediodia/.test(when)) {
+        if (hour < 12) {
+          hour += 12;
+        } else if (/noche/.test(when)) {
+          hour = 0;
+        }
+      } else if (when && /am|ma[ñn]ana/.test(when)) {
+        if (hour === 12) {
+          hour = 0;
+        }
+      } else if (hour <= 12) {
+        if (hour > 0 && hour < this.assumePmBefore) {
+          hour += 12;
+          confidence = 0.7;
+        } else {
+          confidence = 0.85;
+        }
+      }
+
+      times.push(this.entity('time', match, `${pad(hour)}:${pad(minute)}`, confidence));
+    });
+
+    matchesOf(NOON_PATTERN, text).forEach(match => {
+      if (!times.some(time => match.index >= time.start && match.index < time.end)) {
+        times.push(this.entity('time', match, '12:00', 0.9));
+      }
+    });
+
+    return times.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Times of day said without an hour. A bare "de mañana" is a period only
+   * right after a date ("mañana de mañana", "el lunes de mañana"); anywhere
+   * else ("el turno de mañana") it is the date.
+   */
+  resolvePeriods(text, dates, times) {
+    return matchesOf(PERIOD_PATTERN, text)
+      .filter(match => !times.some(time => match.index >= time.start && match.index < time.end))
+      .filter(match => /\sla\s/i.test(match[0]) || !/ma[ñn]ana/i.test(match[1]) ||
+        dates.some(date => date.end <= match.index && /^\s*$/.test(text.slice(date.end, match.index))))
+      .map(match => this.entity('period', match, PERIODS[match[1].toLowerCase()], 0.9));
+  }
+
+  /**
+   * E.164 for a phone match, or null when the digits can't form a valid number.
+   * @returns {{ value: string, national: string, mobile: boolean, explicit: boolean } | null}
+   */
+  normalizePhone(raw) {
+    const { countryCode, mobilePrefix, localMobilePrefix, trunkPrefix, defaultAreaCode, nationalLength } = this.phone;
+    let digits = String(raw).replace(/\D/g, '');
+    let mobile = false;
+    let explicit = false;
+
+    if (digits.startsWith(countryCode) && digits.length > nationalLength) {
+      digits = digits.slice(countryCode.length);
+      explicit = true;
+      if (digits.startsWith(mobilePrefix) && digits.length === nationalLength + mobilePrefix.length) {
+        digits = digits.slice(mobilePrefix.length);
+        mobile = true;
+      }
+    }
+    if (digits.startsWith(trunkPrefix) && digits.length > nationalLength) {
+      digits = digits.slice(trunkPrefix.length);
+      explicit = true;
+    }
+
+    // "15" after a 2-4 digit area code marks a mobile dialled inside the country
+    if (digits.length === nationalLength + localMobilePrefix.length) {
+      const areaLength = [2, 3, 4].find(length => digits.slice(length, length + localMobilePrefix.length) === localMobilePrefix);
+      if (areaLength) {
+        digits = digits.slice(0, areaLength) + digits.slice(areaLength + localMobilePrefix.length);
+        mobile = true;
+      }
+    }
+
+    // Local numbers ("15 5555-1234", "4555-1234") take the clinic's area code
+    if (digits.startsWith(localMobilePrefix) && digits.length === nationalLength - defaultAreaCode.length + localMobilePrefix.length) {
+      digits = defaultAreaCode + digits.slice(localMobilePrefix.length);
+      mobile = true;
+    } else if (digits.length === nationalLength - defaultAreaCode.length) {
+      digits = defaultAreaCode + digits;
+    }
+
+    if (digits.length !== nationalLength || digits.startsWith(trunkPrefix)) {
+      return null;
+    }
+
+    return { value: `+${countryCode}${mobile ? mobilePrefix : ''}${digits}`, national: digits, mobile, explicit };
+  }
+
+  resolvePhone(match) {
+    const phone = this.normalizePhone(match[0]);
+
+    if (!phone) {
+      return this.entity('phone', match, null, 0.3, { valid: false });
+    }
+
+    return this.entity('phone', match, phone.value, phone.explicit || phone.mobile ? 0.95 : 0.7, { valid: true, mobile: phone.mobile });
+  }
+
+  resolveDni(match) {
+    const digits = match[0].replace(/\D/g, '');
+    const number = Number(digits);
+    const valid = digits.length >= 7 && digits.length <= 8 &&
+      number >= this.dni.min && number <= this.dni.max && !/^(\d)\1+$/.test(digits);
+
+    return this.entity('dni', match, valid ? digits : null, valid ? 0.9 : 0.2, { valid });
+  }
+
+  resolveCanonical(type, match) {
+    const folded = foldAccents(match[0].toLowerCase());
+    const found = (this.canonical[type] || []).find(([prefix]) => folded.startsWith(prefix));
+
+    return found ?
+      this.entity(type, match, found[1], 0.95) :
+      this.entity(type, match, folded, 0.5);
+  }
+
+  /**
+   * A number matched as both DNI and phone is kept once: the words before it
+   * decide, then the digit count (7-8 digits read as a DNI).
+   */
+  settleNumbers(dnis, phones, text) {
+    const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+    const keptPhones = phones.filter(phone => {
+      const dni = dnis.find(candidate => overlaps(candidate, phone));
+      if (!dni) {
+        return true;
+      }
+
+      const before = foldAccents(text.slice(Math.max(0, Math.min(dni.start, phone.start) - CONTEXT_WINDOW), Math.min(dni.start, phone.start)).toLowerCase());
+      const phoneDigits = phone.text.replace(/\D/g, '').length;
+
+      if (PHONE_CONTEXT.test(before) || phoneDigits > 8) {
+        dni.dropped = true;
+        return true;
+      }
+      if (DNI_CONTEXT.test(before)) {
+        dni.confidence = Math.max(dni.confidence, dni.valid ? 0.98 : dni.confidence);
+        return false;
+      }
+      if (!dni.valid && phone.valid) {
+        dni.dropped = true;
+        phone.confidence = Math.min(phone.confidence, 0.6);
+        return true;
+      }
+
+      // No context: 7-8 digits are more often a DNI than a number without area code
+      dni.confidence = Math.min(dni.confidence, 0.6);
+      return false;
+    });
+
+    return [...dnis.filter(dni => !dni.dropped).map(({ dropped, ...dni }) => dni), ...keptPhones];
+  }
+
+  /**
+   * @param {string} text - Message as written (spans index into it)
+   * @param {object} [options]
+   * @param {object} [options.entities] - Entity patterns to apply (defaults to none)
+   * @param {string} [options.locale] - Relative dates are read only for 'es'
+   * @param {number} [options.now] - Reference instant for relative dates
+   * @returns {object[]} `{ type, text, value, start, end, confidence }` sorted by position
+   */
+  resolve(text, options = {}) {
+    const message = String(text || '');
+    const patterns = options.entities || {};
+    const today = this.today(options.now || Date.now());
+    const resolved = [];
+
+    const spanish = (options.locale || 'es') === 'es';
+    const dates = this.resolveDates(message, today, spanish);
+    const times = this.resolveTimes(message);
+    const periods = spanish ? this.resolvePeriods(message, dates, times) : [];
+    // A date word inside a time or a period ("de mañana") belongs to it
+    const freeDates = dates.filter(date => ![...times, ...periods].some(part => date.start < part.end && part.start < date.end));
+
+    resolved.push(...freeDates, ...times, ...periods);
+
+    if (freeDates.length > 0 && times.length > 0) {
+      const [date] = freeDates;
+      const [time] = times;
+      resolved.push({
+        type: 'datetime',
+        text: message.slice(Math.min(date.start, time.start), Math.max(date.end, time.end)),
+        value: zonedISO(date.value, time.value, this.timezone),
+        start: Math.min(date.start, time.start),
+        end: Math.max(date.end, time.end),
+        confidence: Math.min(date.confidence, time.confidence)
+      });
+    }
+
+    const dnis = patterns.dni ? foldedMatchesOf(patterns.dni, message).map(match => this.resolveDni(match)) : [];
+    const phones = patterns.phone ? foldedMatchesOf(patterns.phone, message).map(match => this.resolvePhone(match)) : [];
+    resolved.push(...this.settleNumbers(dnis, phones, message));
+
+    Object.entries(patterns).forEach(([type, pattern]) => {
+      if (['dni', 'phone', 'date', 'time'].includes(type) || !pattern) {
+        return;
+      }
+
+      foldedMatchesOf(pattern, message).forEach(match => {
+        if (this.canonical[type]) {
+          resolved.push(this.resolveCanonical(type, match));
+        } else if (type === 'age') {
+          const years = parseInt(match[0], 10);
+          resolved.push(this.entity(type, match, years <= 120 ? years : null, years <= 120 ? 0.9 : 0.2));
+        } else {
+          resolved.push(this.entity(type, match, foldAccents(match[0].toLowerCase()), 0.8));
+        }
+      });
+    });
+
+    return resolved.sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+}
+
+module.exports = { EntityResolver, zonedISO };
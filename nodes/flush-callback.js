@@ -0,0 +1,150 @@
+/**
+ * 📮 N8N Smart Buffer - Flush Callback
+ * POSTs aggregated payloads to the configured callback URL, signed and retried
+ *
+ * Each request carries:
+ *   X-Smart-Buffer-Delivery  - id shared by every attempt of one payload (dedupe on it)
+ *   X-Smart-Buffer-Signature - `t=<unix ms>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`
+ *                              keyed with CALLBACK_SECRET; absent when no secret is set
+ *
+ * Network errors, timeouts, 429 and 5xx responses are retried with exponential
+ * backoff; any other 4xx means the receiver rejected the payload and is final.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config-loader.js');
+const { postJson } = require('./http-client.js');
+
+const SIGNATURE_HEADER = 'X-Smart-Buffer-Signature';
+const DELIVERY_HEADER = 'X-Smart-Buffer-Delivery';
+
+// Receivers reject signatures older than this (replayed requests)
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+function hmac(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function sign(body, secret, timestamp = Date.now()) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * For receivers: checks a signature header against the raw request body.
+ */
+function verifySignature(body, header, secret, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE_MS;
+  const now = options.now || Date.now();
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!parts.v1 || !Number.isFinite(timestamp) || Math.abs(now - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function retryable(error) {
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+class FlushCallback {
+  /**
+   * @param {object} config - Industry configuration (`service.callback`)
+   * @param {object} [options]
+   * @param {object} [options.env] - Environment, defaults to process.env (CALLBACK_SECRET)
+   * @param {function} [options.post] - Transport, defaults to http-client postJson
+   * @param {function} [options.sleep] - Backoff delay, defaults to setTimeout
+   * @param {Logger} [options.logger]
+   */
+  constructor(config = getConfig(), options = {}) {
+    const env = options.env || process.env;
+
+    this.secret = env.CALLBACK_SECRET || null;
+    this.post = options.post || postJson;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.logger = options.logger || null;
+
+    this.reconfigure(config);
+  }
+
+  reconfigure(config) {
+    const callback = (config.service && config.service.callback) || {};
+
+    Object.assign(this, {
+      url: callback.url || null,
+      timeout: callback.timeout || 5000,
+      retries: callback.retries !== undefined ? callback.retries : 3,
+      backoff: callback.backoff || 1000,
+      maxBackoff: callback.maxBackoff || 30000
+    });
+  }
+
+  delay(attempt) {
+    return Math.min(this.maxBackoff, this.backoff * 2 ** (attempt - 1));
+  }
+
+  headers(body, deliveryId) {
+    return {
+      [DELIVERY_HEADER]: deliveryId,
+      ...(this.secret ? { [SIGNATURE_HEADER]: sign(body, this.secret) } : {})
+    };
+  }
+
+  /**
+   * Delivers one payload. Resolves with `{ delivered, attempts, status, deliveryId }`;
+   * a payload that could not be delivered is reported with `delivered: false`,
+   * the last `error`, and `retryable: false` when the receiver rejected it.
+   * Throws only when no callback URL is configured.
+   *
+   * @param {object} payload
+   * @param {object} [options]
+   * @param {string} [options.deliveryId] - Id to send again when the same messages are
+   *   redelivered later, so the receiver can dedupe; a new one by default
+   */
+  async deliver(payload, options = {}) {
+    if (!this.url) {
+      throw new Error('No callback URL configured (service.callback.url / CALLBACK_URL)');
+    }
+
+    const body = JSON.stringify(payload);
+    const deliveryId = options.deliveryId || crypto.randomUUID();
+    let attempt = 0;
+
+    for (;;) {
+      attempt++;
+
+      try {
+        // Signed per attempt so retries carry a fresh timestamp
+        const response = await this.post(this.url, body, {
+          timeout: this.timeout,
+          headers: this.headers(body, deliveryId)
+        });
+        return { delivered: true, attempts: attempt, status: response.status, deliveryId };
+      } catch (error) {
+        const canRetry = retryable(error);
+        const final = !canRetry || attempt > this.retries;
+
+        if (this.logger) {
+          this.logger.warn('callback', final ? 'Callback delivery failed' : 'Callback delivery retrying', {
+            chatId: payload.chatId,
+            deliveryId,
+            attempt,
+            status: error.status,
+            error: error.message
+          });
+        }
+        if (final) {
+          return { delivered: false, attempts: attempt, status: error.status, deliveryId, error: error.message, retryable: canRetry };
+        }
+
+        await this.sleep(this.delay(attempt));
+      }
+    }
+  }
+}
+
+module.exports = { FlushCallback, sign, verifySignature, SIGNATURE_HEADER, DELIVERY_HEADER };
@@ -0,0 +1,69 @@
+/**
+ * 🌐 N8N Smart Buffer - HTTP Client
+ * Minimal JSON-over-HTTP(S) helper shared by notifiers and service clients
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Sends a JSON request and resolves with { status, headers, body }.
+ * `options.timeout` is a deadline for the whole exchange, not just socket idle time.
+ */
+function requestJson(method, url, body, options = {}) {
+  const target = new URL(url);
+  const timeout = options.timeout || 5000;
+  const transport = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(payload !== null ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...options.headers
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let data = text;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch (error) {
+          // Non-JSON responses are returned as text
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(`HTTP ${res.statusCode} from ${target.host}`);
+          error.status = res.statusCode;
+          error.body = data;
+          reject(error);
+          return;
+        }
+
+        resolve({ status: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+    }, timeout);
+
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+function postJson(url, body, options) {
+  return requestJson('POST', url, body, options);
+}
+
+module.exports = { requestJson, postJson };
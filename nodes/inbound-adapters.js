@@ -0,0 +1,417 @@
+/**
+ * 📨 N8N Smart Buffer - Inbound Adapters
+ * Normalizes WAHA, WhatsApp Cloud API, Telegram Bot API and Twilio webhook bodies
+ * into canonical messages
+ *
+ * A canonical message is the typed message from message-types.js plus where it
+ * came from:
+ *   { provider, id, chatId, sender: { id, name }, timestamp (ms), type, text, ...part }
+ *
+ * One webhook body may carry several messages (Cloud API batches, Twilio media)
+ * or none (delivery statuses, our own outgoing messages). A message without a
+ * chat id is rejected on its own: buffering it under a shared key would mix
+ * conversations, and refusing the whole body would make the provider resend
+ * the messages that were fine.
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { normalizeMessage } = require('./message-types.js');
+
+const seconds = value => (value ? Number(value) * 1000 : Date.now());
+
+function rejection(message, code, provider) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  error.provider = provider;
+  return error;
+}
+
+function mediaType(mimeType, fallback = 'document') {
+  const type = String(mimeType || '').split('/')[0];
+  return ['audio', 'image', 'video'].includes(type) ? type : fallback;
+}
+
+// "FN:Ana Pérez" and "TEL;type=CELL;waid=54911...:+54 9 11 5555-1234" lines of a vCard
+function parseVCard(vcard) {
+  const lines = String(vcard || '').split(/\r?\n/);
+  const name = (lines.find(line => line.startsWith('FN')) || '').split(':').slice(1).join(':').trim();
+  const phones = lines.filter(line => line.startsWith('TEL')).map(line => line.split(':').pop().trim());
+  return { name: name || undefined, phones };
+}
+
+const waha = {
+  name: 'waha',
+
+  detect(body) {
+    return typeof body.event === 'string' && typeof body.session === 'string' && Boolean(body.payload);
+  },
+
+  normalize(body) {
+    const payload = body.payload;
+
+    // message.any also delivers what the bot itself sent
+    if (payload.fromMe || !['message', 'message.any', 'message.reaction'].includes(body.event)) {
+      return [];
+    }
+
+    const base = {
+      id: payload.id,
+      chatId: payload.from,
+      sender: {
+        id: payload.participant || payload.from,
+        name: (payload._data && payload._data.notifyName) || undefined
+      },
+      timestamp: seconds(payload.timestamp)
+    };
+
+    if (payload.reaction) {
+      return [{ ...base, type: 'reaction', reaction: { emoji: payload.reaction.text, messageId: payload.reaction.messageId } }];
+    }
+    if (payload.location) {
+      return [{
+        ...base,
+        type: 'location',
+        location: { latitude: payload.location.latitude, longitude: payload.location.longitude, name: payload.location.description }
+      }];
+    }
+    if (payload.vCards && payload.vCards.length > 0) {
+      return [{ ...base, type: 'contact', contact: parseVCard(payload.vCards[0]) }];
+    }
+    if (payload.hasMedia && payload.media) {
+      const dataType = payload._data && payload._data.type;
+      return [{
+        ...base,
+        type: dataType === 'sticker' ? 'sticker' : mediaType(payload.media.mimetype),
+        text: payload.body,
+        media: { url: payload.media.url, mimeType: payload.media.mimetype, fileName: payload.media.filename || undefined }
+      }];
+    }
+
+    return [{ ...base, type: 'text', text: payload.body }];
+  }
+};
+
+const whatsappCloud = {
+  name: 'whatsapp_cloud',
+
+  detect(body) {
+    return body.object === 'whatsapp_business_account' && Array.isArray(body.entry);
+  },
+
+  normalize(body) {
+    const messages = [];
+
+    body.entry.forEach(entry => (entry.changes || []).forEach(change => {
+      const value = change.value || {};
+      const names = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile && contact.profile.name]));
+
+      // Status updates (sent, delivered, read) carry no messages
+      (value.messages || []).forEach(message => {
+        messages.push(whatsappCloud.message(message, names));
+      });
+    }));
+
+    return messages;
+  },
+
+  message(message, names) {
+    const base = {
+      id: message.id,
+      chatId: message.from,
+      sender: { id: message.from, name: names.get(message.from) },
+      timestamp: seconds(message.timestamp),
+      replyTo: message.context ? message.context.id : undefined
+    };
+    const part = message[message.type] || {};
+
+    switch (message.type) {
+      case 'text':
+        return { ...base, type: 'text', text: part.body };
+      case 'audio':
+      case 'image':
+      case 'video':
+      case 'document':
+      case 'sticker':
+        return {
+          ...base,
+          type: message.type,
+          text: part.caption,
+          media: { mediaId: part.id, mimeType: part.mime_type, fileName: part.filename }
+        };
+      case 'location':
+        return { ...base, type: 'location', location: { latitude: part.latitude, longitude: part.longitude, name: part.name, address: part.address } };
+      case 'contacts': {
+        const [contact = {}] = message.contacts;
+        return {
+          ...base,
+          type: 'contact',
+          contact: { name: contact.name && contact.name.formatted_name, phones: (contact.phones || []).map(phone => phone.phone) }
+        };
+      }
+      case 'reaction':
+        return { ...base, type: 'reaction', reaction: { emoji: part.emoji, messageId: part.message_id } };
+      case 'interactive': {
+        // Button and list replies read as what the user tapped
+        const reply = part.button_reply || part.list_reply || {};
+        return { ...base, type: 'text', text: reply.title };
+      }
+      case 'button':
+        return { ...base, type: 'text', text: part.text };
+      default:
+        // Unsupported types (order, system...) keep whatever text they have
+        return { ...base, type: 'text', text: part.body || part.text };
+    }
+  }
+};
+
+const telegram = {
+  name: 'telegram',
+
+  detect(body) {
+    return typeof body.update_id === 'number';
+  },
+
+  normalize(body) {
+    if (body.message_reaction) {
+      const update = body.message_reaction;
+      const [reaction = {}] = update.new_reaction || [];
+      return [{
+        id: `${update.chat.id}:${update.message_id}:reaction:${body.update_id}`,
+        chatId: String(update.chat.id),
+        sender: update.user ? { id: String(update.user.id), name: update.user.first_name } : { id: undefined },
+        timestamp: seconds(update.date),
+        type: 'reaction',
+        reaction: { emoji: reaction.emoji, messageId: String(update.message_id) }
+      }];
+    }
+
+    if (body.callback_query) {
+      const query = body.callback_query;
+      return [{
+        id: String(query.id),
+        chatId: query.message && query.message.chat ? String(query.message.chat.id) : undefined,
+        sender: { id: String(query.from.id), name: query.from.first_name },
+        timestamp: Date.now(),
+        type: 'text',
+        text: query.data
+      }];
+    }
+
+    const message = body.message || body.edited_message;
+    if (!message) {
+      return [];
+    }
+
+    const base = {
+      id: message.chat ? `${message.chat.id}:${message.message_id}` : String(message.message_id),
+      chatId: message.chat ? String(message.chat.id) : undefined,
+      sender: message.from ? { id: String(message.from.id), name: message.from.first_name } : { id: undefined },
+      timestamp: seconds(message.date),
+      text: message.text || message.caption,
+      replyTo: message.reply_to_message ? `${message.chat.id}:${message.reply_to_message.message_id}` : undefined,
+      // Same id as the original: the buffer replaces it instead of adding a fragment
+      edited: body.edited_message ? true : undefined
+    };
+    const file = (part, type) => ({
+      ...base,
+      type,
+      media: { mediaId: part.file_id, mimeType: part.mime_type, fileName: part.file_name, size: part.file_size, duration: part.duration }
+    });
+
+    if (message.photo) {
+      // Sizes are listed smallest first
+      return [file(message.photo[message.photo.length - 1], 'image')];
+    }
+    if (message.voice || message.audio) {
+      return [file(message.voice || message.audio, 'audio')];
+    }
+    if (message.video || message.video_note) {
+      return [file(message.video || message.video_note, 'video')];
+    }
+    if (message.sticker) {
+      return [file(message.sticker, 'sticker')];
+    }
+    if (message.document) {
+      return [file(message.document, mediaType(message.document.mime_type))];
+    }
+    if (message.location) {
+      const venue = message.venue || {};
+      return [{
+        ...base,
+        type: 'location',
+        location: { latitude: message.location.latitude, longitude: message.location.longitude, name: venue.title, address: venue.address }
+      }];
+    }
+    if (message.contact) {
+      const contact = message.contact;
+      return [{
+        ...base,
+        type: 'contact',
+        contact: { name: [contact.first_name, contact.last_name].filter(Boolean).join(' '), phones: [contact.phone_number] }
+      }];
+    }
+
+    return [{ ...base, type: 'text' }];
+  }
+};
+
+const twilio = {
+  name: 'twilio',
+
+  detect(body) {
+    return Boolean((body.MessageSid || body.SmsMessageSid) && body.AccountSid);
+  },
+
+  normalize(body) {
+    const id = body.MessageSid || body.SmsMessageSid;
+    const base = {
+      id,
+      chatId: body.From,
+      sender: { id: body.WaId || body.From, name: body.ProfileName },
+      // Twilio webhooks carry no timestamp
+      timestamp: Date.now(),
+      replyTo: body.OriginalRepliedMessageSid
+    };
+    const text = body.ButtonText || body.Body;
+
+    if (body.Latitude && body.Longitude) {
+      return [{
+        ...base,
+        type: 'location',
+        location: { latitude: Number(body.Latitude), longitude: Number(body.Longitude), name: body.Label, address: body.Address }
+      }];
+    }
+
+    const mediaCount = Number(body.NumMedia || 0);
+    if (mediaCount === 0) {
+      return [{ ...base, type: 'text', text }];
+    }
+
+    // One message per media item; the body is the first one's caption
+    return Array.from({ length: mediaCount }, (_, index) => ({
+      ...base,
+      id: index === 0 ? id : `${id}:${index}`,
+      type: mediaType(body[`MediaContentType${index}`]),
+      text: index === 0 ? text : undefined,
+      media: { url: body[`MediaUrl${index}`], mimeType: body[`MediaContentType${index}`] }
+    }));
+  }
+};
+
+// Bodies already in the canonical shape ({ chatId, text, timestamp }) from n8n or tests
+const canonical = {
+  name: 'canonical',
+
+  detect(body) {
+    return body.chatId !== undefined || body.chat_id !== undefined || typeof body.text === 'string' || typeof body.message === 'string';
+  },
+
+  normalize(body) {
+    const { chat_id: chatIdAlias, ...message } = body;
+    const chatId = body.chatId !== undefined ? body.chatId : chatIdAlias;
+    return [{ ...message, chatId, sender: body.sender || { id: chatId } }];
+  }
+};
+
+const DEFAULT_ADAPTERS = [waha, whatsappCloud, telegram, twilio, canonical];
+
+class InboundAdapters {
+  /**
+   * @param {object} config - Industry configuration (`inbound.providers` limits detection)
+   * @param {object} [options]
+   * @param {object[]} [options.adapters] - Extra `{ name, detect(body), normalize(body) }` adapters, tried first
+   * @param {Logger} [options.logger]
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.extra = options.adapters || [];
+    this.logger = options.logger || null;
+
+    this.reconfigure(config);
+  }
+
+  // Adapters passed in options are always tried; `inbound.providers` picks the built-in ones
+  reconfigure(config) {
+    const inbound = config.inbound || {};
+    const names = inbound.providers || DEFAULT_ADAPTERS.map(adapter => adapter.name);
+    const unknown = names.filter(name => !DEFAULT_ADAPTERS.some(adapter => adapter.name === name));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown inbound provider '${unknown.join("', '")}' (available: ${DEFAULT_ADAPTERS.map(adapter => adapter.name).join(', ')})`);
+    }
+
+    this.adapters = [...this.extra, ...DEFAULT_ADAPTERS.filter(adapter => names.includes(adapter.name))];
+  }
+
+  register(adapter) {
+    if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+      throw new Error('An inbound adapter needs a name, detect(body) and normalize(body)');
+    }
+
+    this.extra.unshift(adapter);
+    this.adapters.unshift(adapter);
+    return this;
+  }
+
+  detect(body) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+    return this.adapters.find(adapter => adapter.detect(body)) || null;
+  }
+
+  /**
+   * @param {object} body - Parsed webhook body
+   * @param {object} [options]
+   * @param {string} [options.provider] - Skip detection (e.g. one webhook URL per provider)
+   * @returns {{ messages: object[], rejected: Error[] }} Canonical messages, possibly none,
+   *   and a `status: 400` error for each message that was left out
+   */
+  parse(body, options = {}) {
+    const adapter = options.provider ?
+      this.adapters.find(candidate => candidate.name === options.provider) :
+      this.detect(body);
+
+    if (!adapter) {
+      throw rejection(
+        options.provider ? `Inbound provider '${options.provider}' is not enabled` : 'Unrecognized inbound payload',
+        'UNKNOWN_PAYLOAD',
+        options.provider
+      );
+    }
+
+    const messages = [];
+    const rejected = [];
+
+    adapter.normalize(body).forEach(message => {
+      if (message.chatId === undefined || message.chatId === null || String(message.chatId).trim() === '') {
+        if (this.logger) {
+          this.logger.warn('inbound', 'Rejected inbound message without chat id', { provider: adapter.name, id: message.id });
+        }
+        const error = rejection(`${adapter.name} message ${message.id || '(no id)'} has no chat id`, 'MISSING_CHAT_ID', adapter.name);
+        error.messageId = message.id;
+        rejected.push(error);
+        return;
+      }
+
+      messages.push(normalizeMessage({ ...message, provider: adapter.name, chatId: String(message.chatId) }));
+    });
+
+    return { messages, rejected };
+  }
+
+  /**
+   * Canonical messages of a body (see parse()). Throws the first rejection
+   * only when no message in the body could be accepted.
+   */
+  normalize(body, options = {}) {
+    const { messages, rejected } = this.parse(body, options);
+
+    if (messages.length === 0 && rejected.length > 0) {
+      throw rejected[0];
+    }
+    return messages;
+  }
+}
+
+module.exports = { InboundAdapters, DEFAULT_ADAPTERS, parseVCard };
@@ -0,0 +1,158 @@
+/**
+ * 🌍 N8N Smart Buffer - Language Detector
+ * Offline per-message language detection (es, en, pt) with per-chat memory
+ *
+ * Messages are scored on frequent function words and locale-specific
+ * characters. Short or ambiguous messages ("ok", "24/05") take the language
+ * the chat has been using; chats with no history fall back to the default.
+ */
+
+const DEFAULT_LOCALE = 'es';
+const DEFAULT_MAX_CHATS = 10000;
+
+// Score needed (and lead over the runner-up) before a message decides on its own
+const MIN_SCORE = 2;
+
+// Weight kept from earlier messages when updating a chat's running score
+const CHAT_DECAY = 0.5;
+
+const PROFILES = {
+  es: {
+    words: [
+      'el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para',
+      'quiero', 'necesito', 'tengo', 'puedo', 'hola', 'gracias', 'buenos', 'buenas', 'dias', 'mañana',
+      'turno', 'cuanto', 'cuando', 'donde', 'como', 'esta', 'estoy', 'mi', 'me', 'usted', 'hoy', 'tarde',
+      'precio', 'cita', 'también', 'tambien', 'pero', 'muy', 'bien', 'sí', 'si', 'no', 'hay', 'doctor'
+    ],
+    chars: /[ñ¿¡]/g
+  },
+  en: {
+    words: [
+      'the', 'a', 'an', 'to', 'of', 'and', 'in', 'is', 'for', 'with', 'on', 'at', 'it', 'this', 'that',
+      'i', 'want', 'need', 'have', 'can', 'could', 'would', 'hello', 'hi', 'thanks', 'thank', 'you',
+      'please', 'good', 'morning', 'afternoon', 'appointment', 'book', 'tomorrow', 'today', 'how',
+      'much', 'what', 'where', 'when', 'my', 'me', 'yes', 'not', 'do', 'does', 'price', 'doctor'
+    ],
+    chars: null
+  },
+  pt: {
+    words: [
+      'o', 'a', 'os', 'as', 'de', 'do', 'da', 'que', 'e', 'em', 'um', 'uma', 'é', 'por', 'com', 'para',
+      'quero', 'preciso', 'tenho', 'posso', 'olá', 'ola', 'obrigado', 'obrigada', 'bom', 'boa', 'dia',
+      'amanhã', 'amanha', 'consulta', 'quanto', 'quando', 'onde', 'como', 'está', 'estou', 'meu',
+      'minha', 'você', 'voce', 'hoje', 'tarde', 'preço', 'também', 'mas', 'muito', 'sim', 'não', 'nao'
+    ],
+    chars: /[ãõç]/g
+  }
+};
+
+const WORD_PATTERN = /[\p{L}']+/gu;
+
+class LanguageDetector {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.defaultLocale] - Used when neither message nor chat decides
+   * @param {string[]} [options.locales] - Candidate locales (defaults to every built-in profile)
+   * @param {number} [options.maxChats] - Chats remembered, oldest forgotten first
+   */
+  constructor(options = {}) {
+    this.chats = new Map();
+    this.maxChats = options.maxChats || DEFAULT_MAX_CHATS;
+    this.configure(options);
+  }
+
+  configure({ defaultLocale = DEFAULT_LOCALE, locales = Object.keys(PROFILES) } = {}) {
+    const unknown = locales.filter(locale => !PROFILES[locale]);
+    if (unknown.length > 0) {
+      throw new Error(`No language profile for '${unknown.join("', '")}' (available: ${Object.keys(PROFILES).join(', ')})`);
+    }
+
+    this.defaultLocale = defaultLocale;
+    this.locales = locales;
+    this.profiles = Object.fromEntries(locales.map(locale =>
+      [locale, { words: new Set(PROFILES[locale].words), chars: PROFILES[locale].chars }]
+    ));
+  }
+
+  score(text) {
+    const normalized = String(text || '').toLowerCase();
+    const words = normalized.match(WORD_PATTERN) || [];
+
+    return Object.fromEntries(this.locales.map(locale => {
+      const profile = this.profiles[locale];
+      const wordHits = words.filter(word => profile.words.has(word)).length;
+      const charHits = profile.chars ? (normalized.match(profile.chars) || []).length : 0;
+      return [locale, wordHits + charHits * 2];
+    }));
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} [chatId] - Falls back to (and updates) this chat's language
+   * @param {object} [options]
+   * @param {boolean} [options.remember] - false reads the chat's language without updating it
+   * @returns {{ locale: string, confidence: number, source: 'message'|'chat'|'default' }}
+   */
+  detect(text, chatId, options = {}) {
+    const scores = this.score(text);
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, runnerUp = [null, 0]] = ranked;
+    const total = ranked.reduce((sum, [, value]) => sum + value, 0);
+    const decisive = best && best[1] >= MIN_SCORE && best[1] > runnerUp[1];
+
+    const known = chatId !== undefined && chatId !== null;
+    const chat = known && options.remember !== false ?
+      this.remember(String(chatId), scores) :
+      (known && this.chats.get(String(chatId))) || null;
+
+    if (decisive) {
+      return { locale: best[0], confidence: Number((best[1] / total).toFixed(2)), source: 'message' };
+    }
+    if (chat && chat.locale) {
+      return { locale: chat.locale, confidence: chat.confidence, source: 'chat' };
+    }
+    return { locale: this.defaultLocale, confidence: 0, source: 'default' };
+  }
+
+  remember(chatId, scores) {
+    const previous = this.chats.get(chatId) || { scores: {} };
+    const merged = Object.fromEntries(this.locales.map(locale =>
+      [locale, (previous.scores[locale] || 0) * CHAT_DECAY + scores[locale]]
+    ));
+    const ranked = Object.entries(merged).sort((a, b) => b[1] - a[1]);
+    const total = ranked.reduce((sum, [, value]) => sum + value, 0);
+    const leader = ranked[0] && ranked[0][1] > 0 && ranked[0][1] > (ranked[1] ? ranked[1][1] : 0) ? ranked[0] : null;
+
+    const state = {
+      scores: merged,
+      locale: leader ? leader[0] : previous.locale || null,
+      confidence: leader ? Number((leader[1] / total).toFixed(2)) : previous.confidence || 0
+    };
+
+    // Re-insert so Map order tracks recency
+    this.chats.delete(chatId);
+    this.chats.set(chatId, state);
+    if (this.chats.size > this.maxChats) {
+      this.chats.delete(this.chats.keys().next().value);
+    }
+
+    return state;
+  }
+
+  // Frequent function words ("para", "the") are never names, so their case carries no meaning
+  isCommonWord(word) {
+    const lower = String(word).toLowerCase();
+    return this.locales.some(locale => this.profiles[locale].words.has(lower));
+  }
+
+  chatLocale(chatId) {
+    const chat = this.chats.get(String(chatId));
+    return (chat && chat.locale) || null;
+  }
+
+  forget(chatId) {
+    this.chats.delete(String(chatId));
+  }
+}
+
+module.exports = { LanguageDetector, SUPPORTED_LOCALES: Object.keys(PROFILES) };
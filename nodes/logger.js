@@ -0,0 +1,101 @@
+/**
+ * 📝 N8N Smart Buffer - Logger
+ * Structured log entries stored in Redis so retention and erasure can reach them
+ *
+ * Debug categories are switched by env: DEBUG_BUFFER_OPERATIONS (buffer),
+ * DEBUG_SEMANTIC_ANALYSIS (semantic), DEBUG_TIMING_DECISIONS (timing).
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config-loader.js');
+const { PIIRedactor } = require('./pii-redactor.js');
+
+const LOG_KEY = 'smart-buffer:logs';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEBUG_FLAGS = {
+  buffer: 'DEBUG_BUFFER_OPERATIONS',
+  semantic: 'DEBUG_SEMANTIC_ANALYSIS',
+  timing: 'DEBUG_TIMING_DECISIONS'
+};
+
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.redis] - ioredis client; without it entries only go to the console
+   * @param {object} [options.config] - Industry configuration for the default redactor
+   * @param {object} [options.env] - Environment, defaults to process.env
+   * @param {boolean} [options.console] - Also print entries (defaults to true)
+   * @param {PIIRedactor|null} [options.redactor] - Applied to every entry; null disables redaction
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+
+    this.redis = options.redis || null;
+    this.level = LEVELS[env.LOG_LEVEL] || LEVELS.info;
+    this.console = options.console !== false;
+    this.redactor = options.redactor !== undefined ? options.redactor : new PIIRedactor(options.config || getConfig(), { env });
+    this.debugCategories = new Set(
+      Object.keys(DEBUG_FLAGS).filter(category => env[DEBUG_FLAGS[category]] === 'true')
+    );
+  }
+
+  enabled(level, category) {
+    if (level === 'debug') {
+      return this.debugCategories.has(category);
+    }
+    return LEVELS[level] >= this.level;
+  }
+
+  /**
+   * @param {string} level - debug | info | warn | error
+   * @param {string} category - buffer | semantic | timing | ...
+   * @param {string} message
+   * @param {object} [data] - Structured fields; `chatId` is stored as its chat token (see PIIRedactor#chatToken)
+   */
+  async log(level, category, message, data = {}) {
+    if (!this.enabled(level, category)) {
+      return null;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      level,
+      category,
+      ...(this.redactor ? this.redactor.redact({ message, ...data }) : { message, ...data })
+    };
+
+    if (this.console) {
+      const output = level === 'error' || level === 'warn' ? console.error : console.log;
+      output(JSON.stringify(entry));
+    }
+
+    if (this.redis) {
+      await this.redis.zadd(LOG_KEY, entry.timestamp, JSON.stringify(entry)).catch(() => {
+        // Logging must never break the message pipeline
+      });
+    }
+
+    return entry;
+  }
+
+  debug(category, message, data) {
+    return this.log('debug', category, message, data);
+  }
+
+  info(category, message, data) {
+    return this.log('info', category, message, data);
+  }
+
+  warn(category, message, data) {
+    return this.log('warn', category, message, data);
+  }
+
+  error(category, message, data) {
+    return this.log('error', category, message, data);
+  }
+}
+
+module.exports = { Logger, LOG_KEY };
@@ -0,0 +1,191 @@
+/**
+ * 🧩 N8N Smart Buffer - Message Aggregator
+ * Merges a flushed buffer into the single payload handed to the AI agent
+ *
+ * Fragments are joined in timestamp order, resends are dropped, and intent and
+ * entities are analyzed again on the merged text ("quiero un turno" + "mañana a
+ * las 5" is an appointment with a datetime, which neither fragment is alone).
+ * Each kept fragment records where it landed in `final_text`; voice notes,
+ * photos, locations and other parts are listed in `attachments` (captions are
+ * part of the text).
+ */
+
+const { getConfig, configVersion } = require('./config-loader.js');
+const { SemanticAnalyzer } = require('./semantic-analyzer.js');
+const { editDistance } = require('./text-normalizer.js');
+const { normalizeMessage, attachmentOf, policyFor } = require('./message-types.js');
+
+const DEFAULT_SIMILARITY = 0.9;
+
+const TRAILING_PUNCTUATION = /[.!?…,;:]$/;
+const LEADING_PUNCTUATION = /^[,.;:!?…)\]]/;
+
+class MessageAggregator {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {SemanticAnalyzer} [options.analyzer] - Share the pipeline's analyzer so chat language memory carries over
+   * @param {Logger} [options.logger]
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.analyzer = options.analyzer || new SemanticAnalyzer(config);
+    this.logger = options.logger || null;
+
+    this.reconfigure(config);
+  }
+
+  reconfigure(config) {
+    const aggregation = (config.buffer && config.buffer.aggregation) || {};
+
+    this.dropDuplicates = aggregation.dropDuplicates !== false;
+    this.similarity = aggregation.similarity !== undefined ? aggregation.similarity : DEFAULT_SIMILARITY;
+    this.configVersion = configVersion(config);
+  }
+
+  /**
+   * Whether `text` repeats `previous`: identical once normalized, or within the
+   * edit budget `similarity` allows for its length (short texts must match exactly).
+   * Texts whose digits or entities differ are corrections ("a las 5" → "a las 6",
+   * a retyped DNI), never resends.
+   */
+  isDuplicate(text, previous, locale) {
+    if (text === previous) {
+      return true;
+    }
+    if (text.replace(/\D/g, '') !== previous.replace(/\D/g, '')) {
+      return false;
+    }
+
+    const entities = value => JSON.stringify(this.analyzer.extractEntities(value, locale));
+    if (entities(text) !== entities(previous)) {
+      return false;
+    }
+
+    const budget = Math.floor((1 - this.similarity) * Math.max(text.length, previous.length));
+    return budget > 0 && editDistance(text, previous, budget) <= budget;
+  }
+
+  /**
+   * Separator between the text so far and the next fragment, and the fragment
+   * as it should appear. Phones capitalize every message, so a capitalized
+   * common word ("Para mañana") continues the sentence unless both sides are
+   * complete on their own; other capitals after a complete message start a new one.
+   */
+  join(previous, previousComplete, fragment, fragmentComplete) {
+    if (LEADING_PUNCTUATION.test(fragment)) {
+      return { separator: '', text: fragment };
+    }
+    if (TRAILING_PUNCTUATION.test(previous)) {
+      return { separator: ' ', text: fragment };
+    }
+
+    const [firstWord] = fragment.split(/\s+/);
+    if (!/^\p{Lu}/u.test(firstWord)) {
+      return { separator: ' ', text: fragment };
+    }
+    if (this.analyzer.detector.isCommonWord(firstWord) && !(previousComplete && fragmentComplete)) {
+      return { separator: ' ', text: fragment[0].toLowerCase() + fragment.slice(1) };
+    }
+
+    return { separator: previousComplete ? '. ' : ' ', text: fragment };
+  }
+
+  /**
+   * @param {object[]} messages - Buffered messages (`{ id, timestamp, type, text|message, ...part }`)
+   * @param {object} [context]
+   * @param {string} [context.chatId]
+   * @returns {object} `{ final_text, attachments, intent, entities, resolved_entities, ready_for_ai, fragments, duplicates, ... }`
+   */
+  aggregate(messages = [], context = {}) {
+    const chatId = context.chatId !== undefined ? context.chatId : (messages[0] && messages[0].chatId);
+
+    // Stable sort: equal timestamps keep arrival order
+    const ordered = messages
+      .map((message, index) => ({ message, index }))
+      .sort((a, b) => (a.message.timestamp || 0) - (b.message.timestamp || 0) || a.index - b.index)
+      .map(({ message }) => normalizeMessage(message));
+
+    const fragments = [];
+    const attachments = [];
+    const duplicates = [];
+    const used = new Set();
+    let finalText = '';
+    let lastComplete = false;
+
+    ordered.forEach(message => {
+      // Reactions and the like may still be buffered by older callers
+      if (policyFor(this.analyzer.policies, message) === 'ignore') {
+        return;
+      }
+
+      const attachment = attachmentOf(message);
+      if (attachment) {
+        attachments.push(attachment);
+        used.add(message);
+      }
+
+      const text = message.text;
+      if (!text) {
+        return;
+      }
+
+      const locale = this.analyzer.detectLanguage(text, chatId, { remember: false }).locale;
+      const normalized = this.analyzer.normalize(text, locale);
+      const original = this.dropDuplicates && fragments.find(fragment => this.isDuplicate(normalized, fragment.normalized, locale));
+
+      // A resent caption keeps its attachment; only the repeated text is dropped
+      if (original) {
+        duplicates.push({ id: message.id, timestamp: message.timestamp, duplicate_of: original.id });
+        return;
+      }
+      used.add(message);
+
+      const complete = this.analyzer.isComplete(text, locale, normalized);
+      const { separator, text: joined } = finalText ?
+        this.join(finalText, lastComplete, text, complete) :
+        { separator: '', text };
+
+      const start = finalText.length + separator.length;
+      finalText += separator + joined;
+      lastComplete = complete;
+
+      fragments.push({ id: message.id, timestamp: message.timestamp, text, normalized, start, end: finalText.length });
+    });
+
+    const analysis = this.analyzer.analyze({ chatId, text: finalText }, { record: false });
+    const timestamps = Array.from(used, message => message.timestamp).filter(Boolean);
+
+    const payload = {
+      chatId,
+      final_text: finalText,
+      attachments,
+      intent: analysis.intent,
+      entities: analysis.entities,
+      resolved_entities: analysis.resolved_entities,
+      is_complete: analysis.is_complete,
+      language: analysis.language,
+      ready_for_ai: finalText.length > 0 || attachments.length > 0,
+      message_count: used.size,
+      fragments: fragments.map(({ normalized, ...fragment }) => fragment),
+      duplicates,
+      first_timestamp: timestamps.length ? Math.min(...timestamps) : null,
+      last_timestamp: timestamps.length ? Math.max(...timestamps) : null,
+      aggregated_at: Date.now(),
+      config_version: this.configVersion
+    };
+
+    if (this.logger) {
+      this.logger.debug('buffer', 'Buffer aggregated', {
+        chatId,
+        messages: payload.message_count,
+        attachments: attachments.map(attachment => attachment.type),
+        duplicates: duplicates.length,
+        intent: payload.intent
+      });
+    }
+
+    return payload;
+  }
+}
+
+module.exports = { MessageAggregator };
@@ -0,0 +1,174 @@
+/**
+ * 📎 N8N Smart Buffer - Message Types
+ * Typed message parts (text, audio, image, document, location, contact, reaction)
+ * and the per-type buffering policy from `buffer.media`
+ *
+ * A message is `{ id, timestamp, type, text, ...part }` where `text` is the body
+ * or the media caption and the part is one of:
+ *   media    - { url, mediaId, mimeType, fileName, size, duration }   (audio, image, video,
+ *              document, sticker; `mediaId` is the provider's file id when there is no URL)
+ *   location - { latitude, longitude, name, address }
+ *   contact  - { name, phones: [] }
+ *   reaction - { emoji, messageId }
+ *
+ * Policies:
+ *   analyze  - the text (or caption) goes through semantic analysis as usual
+ *   complete - processed as a complete message
+ *   fragment - buffered, waiting for the text that explains it
+ *   ignore   - not buffered and never triggers a flush
+ */
+
+const MESSAGE_TYPES = ['text', 'audio', 'image', 'video', 'document', 'sticker', 'location', 'contact', 'reaction'];
+const POLICIES = ['analyze', 'complete', 'fragment', 'ignore'];
+const MEDIA_TYPES = ['audio', 'image', 'video', 'document', 'sticker'];
+
+// `caption` applies instead of `policy` when the media carries text
+const DEFAULT_POLICIES = {
+  text: { policy: 'analyze' },
+  audio: { policy: 'complete' },
+  image: { policy: 'fragment', caption: 'complete' },
+  video: { policy: 'fragment', caption: 'complete' },
+  document: { policy: 'fragment', caption: 'complete' },
+  sticker: { policy: 'ignore' },
+  location: { policy: 'fragment' },
+  contact: { policy: 'fragment' },
+  reaction: { policy: 'ignore' }
+};
+
+// Provider type names for the types above ('ptt' is a WhatsApp voice note)
+const TYPE_ALIASES = {
+  chat: 'text',
+  ptt: 'audio',
+  voice: 'audio',
+  gif: 'video',
+  animation: 'video',
+  file: 'document',
+  vcard: 'contact'
+};
+
+const PART_FIELDS = {
+  media: ['url', 'mediaId', 'mimeType', 'fileName', 'size', 'duration'],
+  location: ['latitude', 'longitude', 'name', 'address'],
+  contact: ['name', 'phones'],
+  reaction: ['emoji', 'messageId']
+};
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+/**
+ * Type of a raw message. Aliases map to their type; any other unknown type is
+ * kept as a document when it carries media and as text otherwise, so a payload
+ * is never refused (providers retry refused webhooks indefinitely).
+ */
+function messageType(message) {
+  if (message.type) {
+    const type = TYPE_ALIASES[message.type] || message.type;
+    if (MESSAGE_TYPES.includes(type)) {
+      return type;
+    }
+    return message.media ? 'document' : 'text';
+  }
+  if (message.reaction) {
+    return 'reaction';
+  }
+  if (message.location) {
+    return 'location';
+  }
+  if (message.contact) {
+    return 'contact';
+  }
+  if (message.media) {
+    const mimeType = String(message.media.mimeType || '');
+    return ['audio', 'image', 'video'].find(kind => mimeType.startsWith(`${kind}/`)) || 'document';
+  }
+  return 'text';
+}
+
+/**
+ * Canonical buffer entry: `type` and `text` always set, and the message's part
+ * reduced to its known fields (inline media data is never kept).
+ */
+function normalizeMessage(message = {}) {
+  const type = messageType(message);
+  const text = String(message.text || message.message || message.caption || '').trim();
+  const { media, location, contact, reaction, caption, message: body, ...rest } = message;
+  const entry = { ...rest, type, text };
+
+  if (MEDIA_TYPES.includes(type)) {
+    entry.media = pick(media || {}, PART_FIELDS.media);
+  } else if (type !== 'text') {
+    entry[type] = pick(message[type] || {}, PART_FIELDS[type]);
+  }
+
+  return entry;
+}
+
+/**
+ * The non-text part of a normalized message as an attachment, or null for text.
+ */
+function attachmentOf(message) {
+  if (message.type === 'text') {
+    return null;
+  }
+
+  const part = MEDIA_TYPES.includes(message.type) ? message.media : message[message.type];
+  return {
+    id: message.id,
+    timestamp: message.timestamp,
+    type: message.type,
+    ...(message.text ? { caption: message.text } : {}),
+    ...part
+  };
+}
+
+/**
+ * Per-type policies from `buffer.media` over the defaults. Throws on unknown
+ * types or policies.
+ */
+function mediaPolicies(config) {
+  const configured = (config.buffer && config.buffer.media) || {};
+  const policies = {};
+
+  MESSAGE_TYPES.forEach(type => {
+    policies[type] = { ...DEFAULT_POLICIES[type], ...(configured[type] || {}) };
+  });
+
+  Object.keys(configured).forEach(type => {
+    if (!MESSAGE_TYPES.includes(type)) {
+      throw new Error(`Media policy configured for unknown message type '${type}'`);
+    }
+  });
+  Object.entries(policies).forEach(([type, { policy, caption }]) => {
+    [policy, caption].filter(value => value !== undefined).forEach(value => {
+      if (!POLICIES.includes(value)) {
+        throw new Error(`Unknown media policy '${value}' for '${type}' (expected ${POLICIES.join(', ')})`);
+      }
+    });
+  });
+
+  return policies;
+}
+
+/**
+ * Policy for one normalized message. Text without any content is ignored, so
+ * it can neither flush a buffer nor sit in it.
+ */
+function policyFor(policies, message) {
+  const { policy, caption } = policies[message.type];
+
+  if (message.type === 'text') {
+    return message.text ? policy : 'ignore';
+  }
+  return message.text && caption ? caption : policy;
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  POLICIES,
+  normalizeMessage,
+  attachmentOf,
+  mediaPolicies,
+  policyFor
+};
@@ -0,0 +1,271 @@
+/**
+ * 📊 N8N Smart Buffer - Metrics Collector
+ * Records pipeline metrics into Redis honoring `metrics.tracking` and `metrics.retention`
+ *
+ * Raw samples live in a per-metric sorted set for `retention.realtime` seconds;
+ * every sample is also rolled up into hourly and daily buckets (count/sum/min/max)
+ * kept for `retention.aggregated` seconds.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config-loader.js');
+const { PIIRedactor } = require('./pii-redactor.js');
+
+const DEFAULT_KEY_PREFIX = 'smart-buffer:metrics:';
+
+const BUCKETS = {
+  hour: 3600000,
+  day: 86400000
+};
+
+// Which `metrics.tracking` switch gates each metric family; unlisted metrics are always recorded
+const TRACKING_FLAGS = {
+  response_time: 'responseTime',
+  buffer_size: 'bufferUtilization',
+  buffer_bytes: 'bufferUtilization',
+  buffer_overflow: 'bufferUtilization',
+  intent: 'intentDistribution',
+  entity: 'entityExtraction',
+  fallback: 'fallbackUsage'
+};
+
+// Updates an aggregate bucket hash. ARGV: value, weight, ttl
+const ROLLUP_SCRIPT = `
+local key = KEYS[1]
+local value = tonumber(ARGV[1])
+local weight = tonumber(ARGV[2])
+redis.call('HINCRBYFLOAT', key, 'count', weight)
+redis.call('HINCRBYFLOAT', key, 'sum', value * weight)
+local min = redis.call('HGET', key, 'min')
+if not min or value < tonumber(min) then
+  redis.call('HSET', key, 'min', value)
+end
+local max = redis.call('HGET', key, 'max')
+if not max or value > tonumber(max) then
+  redis.call('HSET', key, 'max', value)
+end
+redis.call('EXPIRE', key, tonumber(ARGV[3]))
+return 1
+`;
+
+function createRedisClient() {
+  const Redis = require('ioredis');
+  return new Redis(process.env.REDIS_URL);
+}
+
+function familyOf(metric) {
+  return metric.split(':')[0];
+}
+
+class MetricsCollector {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {object} [options.redis] - ioredis client
+   * @param {AlertEngine} [options.alertEngine] - Receives every sample, before sampling
+   * @param {PrometheusExporter} [options.exporter] - Receives every event, before sampling
+   * @param {function} [options.random] - Sampling source, defaults to Math.random
+   * @param {PIIRedactor} [options.redactor] - Applied to metric names before they reach Redis
+   */
+  constructor(config = getConfig(), options = {}) {
+    const metrics = config.metrics || {};
+    const retention = metrics.retention || {};
+
+    this.tracking = metrics.tracking || {};
+    this.samplingRate = typeof this.tracking.samplingRate === 'number' ? this.tracking.samplingRate : 1.0;
+    this.realtimeTTL = retention.realtime || 300;
+    this.aggregatedTTL = retention.aggregated || 604800;
+
+    this.keyPrefix = options.keyPrefix || DEFAULT_KEY_PREFIX;
+    this.redis = options.redis || createRedisClient();
+    this.alertEngine = options.alertEngine || null;
+    this.exporter = options.exporter || null;
+    this.random = options.random || Math.random;
+    this.redactor = options.redactor || new PIIRedactor(config);
+
+    this.redis.defineCommand('metricsRollup', { numberOfKeys: 1, lua: ROLLUP_SCRIPT });
+  }
+
+  isTracked(metric) {
+    const flag = TRACKING_FLAGS[familyOf(metric)];
+    return !flag || this.tracking[flag] !== false;
+  }
+
+  realtimeKey(metric) {
+    return `${this.keyPrefix}rt:${metric}`;
+  }
+
+  bucketKey(metric, resolution, bucketStart) {
+    return `${this.keyPrefix}agg:${resolution}:${metric}:${bucketStart}`;
+  }
+
+  /**
+   * Records one sample. Counters pass 1, flags pass 1/0, timings pass ms.
+   * Never throws: metrics must not break the message pipeline.
+   */
+  async record(name, value = 1, timestamp = Date.now()) {
+    const metric = this.redactor.redactText(name);
+
+    if (!this.isTracked(metric)) {
+      return false;
+    }
+
+    if (this.alertEngine) {
+      this.alertEngine.record(metric, value, timestamp);
+    }
+
+    if (this.samplingRate < 1 && this.random() >= this.samplingRate) {
+      return false;
+    }
+
+    // Sampled counts are scaled back up so aggregates estimate the real totals
+    const weight = this.samplingRate > 0 ? 1 / this.samplingRate : 1;
+    const member = `${timestamp}:${value}:${crypto.randomBytes(4).toString('hex')}`;
+    const realtimeKey = this.realtimeKey(metric);
+
+    try {
+      const pipeline = this.redis.pipeline()
+        .zadd(realtimeKey, timestamp, member)
+        .zremrangebyscore(realtimeKey, '-inf', timestamp - this.realtimeTTL * 1000)
+        .expire(realtimeKey, this.realtimeTTL);
+
+      Object.entries(BUCKETS).forEach(([resolution, size]) => {
+        const bucketStart = Math.floor(timestamp / size) * size;
+        pipeline.metricsRollup(this.bucketKey(metric, resolution, bucketStart), value, weight, this.aggregatedTTL);
+      });
+
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  recordAnalysis(analysis) {
+    if (this.exporter) {
+      this.exporter.recordAnalysis(analysis);
+    }
+
+    const tasks = [this.record(`intent:${analysis.intent}`)];
+
+    Object.entries(analysis.entities || {}).forEach(([type, values]) => {
+      if (values.length > 0) {
+        tasks.push(this.record(`entity:${type}`, values.length));
+      }
+    });
+
+    return Promise.all(tasks);
+  }
+
+  recordDecision(decision) {
+    if (this.exporter) {
+      this.exporter.recordDecision(decision);
+    }
+
+    return Promise.all([
+      this.record(`decision:${decision.decision}`),
+      this.record('fallback', decision.fallback_used ? 1 : 0)
+    ]);
+  }
+
+  /**
+   * Response time is measured from the first buffered message to the moment
+   * the buffer is released for processing: flushed by the orchestrator, or
+   * delivered by the buffering service. Buffers that waited count like
+   * buffers processed immediately.
+   */
+  recordResponseTime(firstTimestamp, now = Date.now()) {
+    if (this.exporter) {
+      this.exporter.recordResponseTime(firstTimestamp, now);
+    }
+
+    return this.record('response_time', firstTimestamp ? now - firstTimestamp : 0);
+  }
+
+  recordBuffer({ size, bytes, overflow }) {
+    if (this.exporter) {
+      this.exporter.recordBuffer({ size, bytes, overflow });
+    }
+
+    return Promise.all([
+      this.record('buffer_size', size),
+      this.record('buffer_bytes', bytes),
+      this.record('buffer_overflow', overflow ? 1 : 0)
+    ]);
+  }
+
+  // A rejected message is also a `rate_limited` decision: the limiter stops
+  // the pipeline before the orchestrator decides
+  recordRateLimit({ allowed }) {
+    if (this.exporter) {
+      this.exporter.recordRateLimit({ allowed });
+    }
+
+    return Promise.all([
+      this.record('rate_limited', allowed ? 0 : 1),
+      ...(allowed ? [] : [this.record('decision:rate_limited')])
+    ]);
+  }
+
+  // Flush callbacks: 1 when a payload could not be delivered after its retries
+  recordDelivery({ delivered, attempts }) {
+    if (this.exporter) {
+      this.exporter.recordDelivery({ delivered, attempts });
+    }
+
+    return Promise.all([
+      this.record('callback_failed', delivered ? 0 : 1),
+      this.record('callback_attempts', attempts || 0)
+    ]);
+  }
+
+  // Counts every failure of a circuit breaker as `<name>_failures`
+  watchBreaker(breaker) {
+    breaker.on('failure', () => this.record(`${breaker.name}_failures`));
+
+    if (this.exporter) {
+      this.exporter.watchBreaker(breaker);
+    }
+    return this;
+  }
+
+  async realtime(metric, sinceMs = this.realtimeTTL * 1000, now = Date.now()) {
+    const members = await this.redis.zrangebyscore(this.realtimeKey(metric), now - sinceMs, '+inf');
+
+    return members.map(member => {
+      const [timestamp, value] = member.split(':');
+      return { timestamp: Number(timestamp), value: Number(value) };
+    });
+  }
+
+  async aggregates(metric, resolution = 'hour', from = Date.now() - BUCKETS.day, to = Date.now()) {
+    const size = BUCKETS[resolution];
+
+    if (!size) {
+      throw new Error(`Unknown aggregate resolution '${resolution}' (use hour or day)`);
+    }
+
+    const starts = [];
+    for (let bucket = Math.floor(from / size) * size; bucket <= to; bucket += size) {
+      starts.push(bucket);
+    }
+
+    const pipeline = this.redis.pipeline();
+    starts.forEach(bucket => pipeline.hgetall(this.bucketKey(metric, resolution, bucket)));
+    const results = await pipeline.exec();
+
+    return results
+      .map(([, data], index) => ({ bucket: starts[index], data }))
+      .filter(({ data }) => data && data.count)
+      .map(({ bucket, data }) => ({
+        bucket,
+        count: Number(data.count),
+        sum: Number(data.sum),
+        avg: Number(data.sum) / Number(data.count),
+        min: Number(data.min),
+        max: Number(data.max)
+      }));
+  }
+}
+
+module.exports = { MetricsCollector, TRACKING_FLAGS };
@@ -0,0 +1,181 @@
+/**
+ * 🤖 N8N Smart Buffer - ML Client
+ * Calls the intent/entity/sentiment services and blends them with the regex analysis
+ *
+ * Per-call confidence decides the source (`ml.confidence`):
+ *   >= minThreshold                      → ML result wins ('ml')
+ *   >= fallbackThreshold, < minThreshold → ML only where regex had nothing or agrees ('blended')
+ *   <  fallbackThreshold, error, timeout → regex result ('regex') when fallbackToRegex is on
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { postJson } = require('./http-client.js');
+const { CircuitBreaker } = require('./circuit-breaker.js');
+
+const CALLS = ['intent', 'entity', 'sentiment'];
+
+class MLClient {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {CircuitBreaker} [options.breaker] - Defaults to one built from circuitBreaker.ml
+   * @param {object} [options.env] - Environment (ML_SERVICE_URL, ML_API_KEY, ML_MODEL_NAME)
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.env = options.env || process.env;
+    this.breaker = options.breaker ||
+      new CircuitBreaker('ml', config.circuitBreaker && config.circuitBreaker.ml);
+
+    this.reconfigure(config);
+  }
+
+  // Calls already in flight finish with the old endpoints and timeouts
+  reconfigure(config) {
+    const ml = config.ml || {};
+    const env = this.env;
+
+    this.enabled = Boolean(ml.enabled);
+    this.fallbackToRegex = ml.fallbackToRegex !== false;
+    this.timeouts = ml.timeouts || {};
+    this.minThreshold = (ml.confidence && ml.confidence.minThreshold) || 0.7;
+    this.fallbackThreshold = (ml.confidence && ml.confidence.fallbackThreshold) || 0.5;
+
+    this.apiKey = env.ML_API_KEY || null;
+    this.model = env.ML_MODEL_NAME || null;
+    this.endpoints = {};
+    CALLS.forEach(call => {
+      const configured = ml.endpoints && ml.endpoints[call];
+      const serviceUrl = env.ML_SERVICE_URL && `${env.ML_SERVICE_URL.replace(/\/$/, '')}/${call}`;
+      this.endpoints[call] = configured || serviceUrl || null;
+    });
+  }
+
+  async call(name, text) {
+    const url = this.endpoints[name];
+    if (!url) {
+      throw new Error(`No ML endpoint configured for ${name}`);
+    }
+
+    const timeout = this.timeouts[name] || 2000;
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const response = await this.breaker.execute(() =>
+      postJson(url, { text, model: this.model }, { headers, timeout })
+    );
+
+    return response.body || {};
+  }
+
+  // Runs every configured call in parallel; failures are reported, not thrown
+  async fetchAll(text) {
+    const calls = CALLS.filter(call => this.endpoints[call]);
+    const settled = await Promise.allSettled(calls.map(call => this.call(call, text)));
+    const results = {};
+    const errors = {};
+
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        results[calls[index]] = outcome.value;
+      } else {
+        errors[calls[index]] = outcome.reason.message;
+      }
+    });
+
+    return { results, errors };
+  }
+
+  sourceFor(confidence) {
+    if (typeof confidence !== 'number' || confidence < this.fallbackThreshold) {
+      return this.fallbackToRegex ? 'regex' : 'ml';
+    }
+    return confidence >= this.minThreshold ? 'ml' : 'blended';
+  }
+
+  blendIntent(regexAnalysis, mlIntent) {
+    if (!mlIntent || !mlIntent.intent) {
+      return { intent: regexAnalysis.intent, source: 'regex', confidence: null };
+    }
+
+    const source = this.sourceFor(mlIntent.confidence);
+    let intent = regexAnalysis.intent;
+
+    if (source === 'ml') {
+      intent = mlIntent.intent;
+    } else if (source === 'blended' && (regexAnalysis.intent === 'general' || regexAnalysis.intent === mlIntent.intent)) {
+      intent = mlIntent.intent;
+    }
+
+    return {
+      intent,
+      source: source === 'blended' && intent !== mlIntent.intent ? 'regex' : source,
+      confidence: mlIntent.confidence
+    };
+  }
+
+  blendEntities(regexAnalysis, mlEntity) {
+    if (!mlEntity || !mlEntity.entities) {
+      return { entities: regexAnalysis.entities, source: 'regex', confidence: null };
+    }
+
+    const source = this.sourceFor(mlEntity.confidence);
+    if (source === 'regex') {
+      return { entities: regexAnalysis.entities, source, confidence: mlEntity.confidence };
+    }
+    if (source === 'ml') {
+      return { entities: { ...regexAnalysis.entities, ...mlEntity.entities }, source, confidence: mlEntity.confidence };
+    }
+
+    // Blended: union of both extractions per entity type
+    const entities = { ...regexAnalysis.entities };
+    Object.entries(mlEntity.entities).forEach(([type, values]) => {
+      entities[type] = Array.from(new Set([...(entities[type] || []), ...values]));
+    });
+    return { entities, source, confidence: mlEntity.confidence };
+  }
+
+  /**
+   * @param {object} regexAnalysis - SemanticAnalyzer output for the message
+   * @returns {object} The analysis with ML results blended in and `analysis_source` recorded
+   */
+  async analyze(regexAnalysis) {
+    if (!this.enabled) {
+      return {
+        ...regexAnalysis,
+        analysis_source: { intent: 'regex', entities: 'regex', sentiment: null }
+      };
+    }
+
+    const { results, errors } = await this.fetchAll(regexAnalysis.original_text);
+
+    if (!this.fallbackToRegex && Object.keys(results).length === 0 && Object.keys(errors).length > 0) {
+      throw new Error(`ML analysis failed: ${Object.values(errors).join('; ')}`);
+    }
+
+    const intent = this.blendIntent(regexAnalysis, results.intent);
+    const entities = this.blendEntities(regexAnalysis, results.entity);
+    const sentiment = results.sentiment && results.sentiment.sentiment ? results.sentiment : null;
+
+    return {
+      ...regexAnalysis,
+      intent: intent.intent,
+      entities: entities.entities,
+      sentiment: sentiment ? sentiment.sentiment : null,
+      analysis_source: {
+        intent: intent.source,
+        entities: entities.source,
+        sentiment: sentiment ? 'ml' : null
+      },
+      ml: {
+        model: this.model,
+        confidence: {
+          intent: intent.confidence,
+          entities: entities.confidence,
+          sentiment: sentiment ? sentiment.confidence : null
+        },
+        fallback_used: intent.source === 'regex' || entities.source === 'regex',
+        errors
+      }
+    };
+  }
+}
+
+module.exports = { MLClient };
@@ -0,0 +1,125 @@
+/**
+ * 🔐 N8N Smart Buffer - Payload Cipher
+ * AES-256-GCM encryption of buffered messages with key IDs for rotation
+ *
+ * Records keep `id` and `timestamp` in clear (the Redis scripts need them) and
+ * bind them as additional authenticated data, so neither can be altered.
+ *
+ * Keys come from env:
+ *   BUFFER_ENCRYPTION_KEYS        - comma-separated `keyId:base64Key` pairs (32-byte keys)
+ *   BUFFER_ENCRYPTION_ACTIVE_KEY  - key ID used for new records (defaults to the last one listed)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+class TamperedRecordError extends Error {
+  constructor(id) {
+    super(`Buffer record ${id} failed authentication`);
+    this.name = 'TamperedRecordError';
+    this.code = 'RECORD_TAMPERED';
+  }
+}
+
+function parseKeys(value) {
+  const keys = new Map();
+
+  String(value || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator === -1) {
+      throw new Error('BUFFER_ENCRYPTION_KEYS entries must look like keyId:base64Key');
+    }
+
+    const keyId = pair.slice(0, separator);
+    const key = Buffer.from(pair.slice(separator + 1), 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key '${keyId}' must be ${KEY_BYTES} bytes (got ${key.length})`);
+    }
+    keys.set(keyId, key);
+  });
+
+  return keys;
+}
+
+class PayloadCipher {
+  /**
+   * @param {Map<string, Buffer>} keys - keyId → 32-byte key
+   * @param {string} [activeKeyId] - Defaults to the last key
+   */
+  constructor(keys, activeKeyId) {
+    if (!keys || keys.size === 0) {
+      throw new Error('PayloadCipher needs at least one key');
+    }
+
+    this.keys = keys;
+    this.activeKeyId = activeKeyId || Array.from(keys.keys()).pop();
+
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active encryption key '${this.activeKeyId}' is not in BUFFER_ENCRYPTION_KEYS`);
+    }
+  }
+
+  // Returns null when no keys are configured (buffers stay plaintext)
+  static fromEnv(env = process.env) {
+    const keys = parseKeys(env.BUFFER_ENCRYPTION_KEYS);
+    return keys.size > 0 ? new PayloadCipher(keys, env.BUFFER_ENCRYPTION_ACTIVE_KEY || undefined) : null;
+  }
+
+  static isEncrypted(record) {
+    return Boolean(record && record.kid && record.data);
+  }
+
+  aad(id, timestamp) {
+    return Buffer.from(`${id}:${timestamp}`);
+  }
+
+  encrypt(entry) {
+    const { id, timestamp } = entry;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKeyId), iv);
+    cipher.setAAD(this.aad(id, timestamp));
+
+    const data = Buffer.concat([cipher.update(JSON.stringify(entry), 'utf8'), cipher.final()]);
+
+    return {
+      id,
+      timestamp,
+      kid: this.activeKeyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(record) {
+    const key = this.keys.get(record.kid);
+    if (!key) {
+      throw new Error(`Unknown encryption key '${record.kid}' for buffer record ${record.id}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(record.iv, 'base64'));
+      decipher.setAAD(this.aad(record.id, record.timestamp));
+      decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]);
+      const entry = JSON.parse(plaintext.toString('utf8'));
+
+      if (entry.id !== record.id || entry.timestamp !== record.timestamp) {
+        throw new Error('metadata mismatch');
+      }
+      return entry;
+    } catch (error) {
+      throw new TamperedRecordError(record.id);
+    }
+  }
+
+  needsRotation(record) {
+    return !PayloadCipher.isEncrypted(record) || record.kid !== this.activeKeyId;
+  }
+}
+
+module.exports = { PayloadCipher, TamperedRecordError, parseKeys };
@@ -0,0 +1,230 @@
+/**
+ * 🕶️ N8N Smart Buffer - PII Redactor
+ * Masks or hashes `semantic.patterns.entities` matches before data leaves the buffer pipeline
+ * (including the entity patterns of every `semantic.patterns.locales` pack)
+ *
+ * Applied to log entries, metric names and labels, and alert payloads. Buffer
+ * contents are never redacted, so the aggregated text sent to the AI is unchanged.
+ *
+ * Per-entity actions come from `security.redaction.entities`:
+ *   mask  - replaced by `[dni]`
+ *   hash  - replaced by `[dni:<hmac>]`, stable per value so entries still correlate
+ *   keep  - left as is (the default for entities not listed)
+ *
+ * Hashes are keyed with PII_HASH_SECRET; without it each process uses a random
+ * secret and hashes only correlate within that process. Phones are hashed on
+ * their national number (`semantic.resolution.phone`), so "+54 9 11 5555-1234"
+ * and "11 5555-1234" share a hash.
+ *
+ * `chatId` fields are always hashed, as `[chat:<hmac>]`: chat ids are phone
+ * numbers on WhatsApp, and erasure finds a patient's entries by this token.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config-loader.js');
+const { EntityResolver } = require('./entity-resolver.js');
+
+const ACTIONS = ['mask', 'hash', 'keep'];
+const HASH_LENGTH = 12;
+
+// Identifiers that must survive redaction
+const PRESERVED_FIELDS = new Set(['id']);
+
+// Hashed whatever the entity actions say
+const CHAT_FIELD = 'chatId';
+
+// Fields of a resolved entity (`{ type, text, value, ... }`, see entity-resolver.js)
+// that carry the entity itself, whatever their type
+const ENTITY_FIELDS = new Set(['text', 'value']);
+
+// Numbers are hashed on their digits so "30.123.456" and "30123456" correlate
+function canonical(value) {
+  const text = String(value).toLowerCase().trim();
+  return /^[\d\s.\-()+]+$/.test(text) ? text.replace(/\D/g, '') : text;
+}
+
+// Every pattern an entity type has across the default and locale packs
+function entityPatterns(patterns = {}) {
+  const byType = {};
+  const packs = [patterns, ...Object.values(patterns.locales || {})];
+
+  packs.forEach(pack => {
+    Object.entries((pack && pack.entities) || {}).forEach(([type, pattern]) => {
+      if (pattern && !(byType[type] || []).some(known => known.source === pattern.source)) {
+        byType[type] = [...(byType[type] || []), pattern];
+      }
+    });
+  });
+
+  return byType;
+}
+
+function globalPattern(pattern) {
+  return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+}
+
+class PIIRedactor {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {string} [options.secret] - HMAC key for hashed entities (defaults to PII_HASH_SECRET)
+   * @param {object} [options.env] - Environment, defaults to process.env
+   */
+  constructor(config = getConfig(), options = {}) {
+    const redaction = (config.security && config.security.redaction) || {};
+    const patterns = entityPatterns(config.semantic && config.semantic.patterns);
+    const env = options.env || process.env;
+
+    this.enabled = redaction.enabled !== false;
+    this.secret = options.secret || env.PII_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+    this.resolver = new EntityResolver(config);
+    this.actions = {};
+    this.rules = [];
+
+    Object.entries(redaction.entities || {}).forEach(([type, action]) => {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown redaction action '${action}' for entity '${type}' (expected ${ACTIONS.join(', ')})`);
+      }
+      if (!patterns[type]) {
+        throw new Error(`Redaction configured for unknown entity '${type}'`);
+      }
+
+      this.actions[type] = action;
+      if (action !== 'keep') {
+        patterns[type].forEach(pattern => this.rules.push({ type, action, pattern: globalPattern(pattern) }));
+      }
+    });
+  }
+
+  hash(value) {
+    return crypto.createHmac('sha256', this.secret).update(canonical(value)).digest('hex').slice(0, HASH_LENGTH);
+  }
+
+  // National number for anything that reads as a phone, the canonical value otherwise
+  phoneKey(value) {
+    const phone = this.resolver.normalizePhone(value);
+    return phone ? phone.national : canonical(value);
+  }
+
+  /**
+   * What a `chatId` field becomes in redacted output.
+   */
+  chatToken(chatId) {
+    return `[chat:${this.hash(this.phoneKey(chatId))}]`;
+  }
+
+  /**
+   * Replacement for one entity value under its configured action.
+   * Values of kept or unconfigured entities come back unchanged.
+   */
+  token(type, value) {
+    const action = this.actions[type];
+
+    if (action === 'mask') {
+      return `[${type}]`;
+    }
+    if (action === 'hash') {
+      return `[${type}:${this.hash(type === 'phone' ? this.phoneKey(value) : value)}]`;
+    }
+    return String(value);
+  }
+
+  spans(text) {
+    const found = [];
+
+    this.rules.forEach((rule, order) => {
+      for (const match of text.matchAll(rule.pattern)) {
+        if (match[0]) {
+          found.push({ type: rule.type, value: match[0], start: match.index, end: match.index + match[0].length, order });
+        }
+      }
+    });
+
+    // Patterns overlap (a DNI is also a valid phone): earliest match wins,
+    // then the longest, then config order
+    found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.order - b.order);
+
+    let cursor = 0;
+    return found.filter(span => {
+      if (span.start < cursor) {
+        return false;
+      }
+      cursor = span.end;
+      return true;
+    });
+  }
+
+  redactText(text) {
+    if (!this.enabled || this.rules.length === 0 || typeof text !== 'string') {
+      return text;
+    }
+
+    let output = '';
+    let cursor = 0;
+
+    this.spans(text).forEach(span => {
+      output += text.slice(cursor, span.start) + this.token(span.type, span.value);
+      cursor = span.end;
+    });
+
+    return output + text.slice(cursor);
+  }
+
+  // Entity types whose values are masked or hashed
+  redacts(type) {
+    return typeof type === 'string' && Object.prototype.hasOwnProperty.call(this.actions, type) && this.actions[type] !== 'keep';
+  }
+
+  // Replaces every value in a field known to hold `type` entities (numbers included)
+  redactAs(type, field) {
+    if (field === null || field === undefined || typeof field === 'boolean') {
+      return field;
+    }
+    if (Array.isArray(field)) {
+      return field.map(item => this.redactAs(type, item));
+    }
+    if (typeof field === 'object') {
+      return this.redact(field);
+    }
+    return this.token(type, field);
+  }
+
+  /**
+   * Returns a redacted copy of strings, arrays and plain objects. Preserved
+   * identifier fields pass through; `chatId` fields are replaced by their chat
+   * token. Values are redacted by entity type where the structure says what
+   * they are: `text`/`value` of a resolved entity (`{ type: 'age', value: 45 }`)
+   * and fields named after an entity (`entities.age`), numbers included.
+   * Other numbers and booleans pass through.
+   */
+  redact(value) {
+    if (!this.enabled) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      const entityType = this.redacts(value.type) ? value.type : null;
+
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+        if (key === CHAT_FIELD && field !== null && field !== undefined) {
+          return [key, this.chatToken(field)];
+        }
+        if (PRESERVED_FIELDS.has(key)) {
+          return [key, field];
+        }
+        if (entityType && ENTITY_FIELDS.has(key)) {
+          return [key, this.redactAs(entityType, field)];
+        }
+        return [key, this.redacts(key) ? this.redactAs(key, field) : this.redact(field)];
+      }));
+    }
+    return value;
+  }
+}
+
+module.exports = { PIIRedactor };
@@ -0,0 +1,242 @@
+/**
+ * 📈 N8N Smart Buffer - Prometheus Exporter
+ * OpenMetrics `/metrics` output for decisions, timing, intents, buffers and breakers
+ *
+ * Metric families follow `metrics.tracking` and are gated by the same switches:
+ *   responseTime       → smart_buffer_response_time_seconds, smart_buffer_wait_time_seconds
+ *   bufferUtilization  → smart_buffer_active_buffers, smart_buffer_buffer_appends/overflows
+ *   intentDistribution → smart_buffer_intents
+ *   entityExtraction   → smart_buffer_entities_extracted
+ *   fallbackUsage      → smart_buffer_fallbacks
+ */
+
+const { getConfig } = require('./config-loader.js');
+const { PIIRedactor } = require('./pii-redactor.js');
+
+const PREFIX = 'smart_buffer_';
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const WAIT_BUCKETS = [0.5, 1, 1.5, 2, 3, 4, 6, 8, 10];
+const RESPONSE_BUCKETS = [0.1, 0.5, 1, 2, 3, 4, 6, 8, 10, 15, 30];
+
+const BREAKER_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Reasons carry numbers ("Buffer full (3+ messages)"); drop them to bound label cardinality
+function reasonLabel(reason) {
+  return String(reason || 'unknown').replace(/\s*\(.*\)\s*$/, '');
+}
+
+class Family {
+  constructor(name, type, help) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  get(labels = {}, init) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...init() });
+    }
+    return this.series.get(key);
+  }
+}
+
+class PrometheusExporter {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {BufferManager} [options.bufferManager] - Source of the active buffers gauge
+   * @param {PIIRedactor} [options.redactor] - Applied to label values
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.tracking = (config.metrics && config.metrics.tracking) || {};
+    this.bufferManager = options.bufferManager || null;
+    this.redactor = options.redactor || new PIIRedactor(config);
+    this.breakers = new Map();
+    this.families = new Map();
+
+    this.define('decisions', 'counter', 'Orchestrator decisions by outcome and reason');
+    this.define('fallbacks', 'counter', 'Decisions that used a fallback path');
+    this.define('intents', 'counter', 'Analyzed messages by detected intent');
+    this.define('entities_extracted', 'counter', 'Entities extracted by type');
+    this.define('buffer_appends', 'counter', 'Messages appended to a buffer');
+    this.define('buffer_overflows', 'counter', 'Appends that dropped older messages to respect buffer limits');
+    this.define('rate_limited', 'counter', 'Messages rejected by the per-chat rate limiter');
+    this.define('callback_deliveries', 'counter', 'Flush callback deliveries by result (delivered, failed)');
+    this.define('circuit_breaker_failures', 'counter', 'Failed calls seen by each circuit breaker');
+    this.define('wait_time_seconds', 'histogram', 'Wait time assigned by wait decisions', WAIT_BUCKETS);
+    this.define('response_time_seconds', 'histogram', 'Time from first buffered message to processing', RESPONSE_BUCKETS);
+  }
+
+  define(name, type, help, buckets) {
+    const family = new Family(`${PREFIX}${name}`, type, help);
+    family.buckets = buckets;
+    this.families.set(name, family);
+    return family;
+  }
+
+  isTracked(flag) {
+    return this.tracking[flag] !== false;
+  }
+
+  inc(name, labels = {}, amount = 1) {
+    this.families.get(name).get(this.redactor.redact(labels), () => ({ value: 0 })).value += amount;
+  }
+
+  observe(name, value, labels = {}) {
+    const family = this.families.get(name);
+    const series = family.get(this.redactor.redact(labels), () => ({ counts: family.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    family.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  recordAnalysis(analysis) {
+    if (this.isTracked('intentDistribution')) {
+      this.inc('intents', { intent: analysis.intent });
+    }
+
+    if (this.isTracked('entityExtraction')) {
+      Object.entries(analysis.entities || {}).forEach(([type, values]) => {
+        if (values.length > 0) {
+          this.inc('entities_extracted', { type }, values.length);
+        }
+      });
+    }
+  }
+
+  recordDecision(decision) {
+    this.inc('decisions', { decision: decision.decision, reason: reasonLabel(decision.reason) });
+
+    if (decision.fallback_used && this.isTracked('fallbackUsage')) {
+      this.inc('fallbacks', { reason: reasonLabel(decision.reason) });
+    }
+
+    if (decision.decision === 'wait' && this.isTracked('responseTime')) {
+      this.observe('wait_time_seconds', decision.wait_time / 1000);
+    }
+  }
+
+  // See MetricsCollector#recordResponseTime
+  recordResponseTime(firstTimestamp, now = Date.now()) {
+    if (this.isTracked('responseTime')) {
+      this.observe('response_time_seconds', firstTimestamp ? (now - firstTimestamp) / 1000 : 0);
+    }
+  }
+
+  recordBuffer({ overflow }) {
+    if (!this.isTracked('bufferUtilization')) {
+      return;
+    }
+
+    this.inc('buffer_appends');
+    if (overflow) {
+      this.inc('buffer_overflows');
+    }
+  }
+
+  recordRateLimit({ allowed }) {
+    if (!allowed) {
+      this.inc('rate_limited');
+      this.inc('decisions', { decision: 'rate_limited', reason: 'Rate limit exceeded' });
+    }
+  }
+
+  recordDelivery({ delivered }) {
+    this.inc('callback_deliveries', { result: delivered ? 'delivered' : 'failed' });
+  }
+
+  watchBreaker(breaker) {
+    this.breakers.set(breaker.name, breaker);
+    breaker.on('failure', () => this.inc('circuit_breaker_failures', { circuit: breaker.name }));
+    return this;
+  }
+
+  async render(openMetrics = true) {
+    const lines = [];
+    const counterSuffix = '_total';
+
+    this.families.forEach(family => {
+      // OpenMetrics names the counter family without _total; Prometheus text includes it
+      const familyName = family.type === 'counter' && !openMetrics ? `${family.name}${counterSuffix}` : family.name;
+      lines.push(`# TYPE ${familyName} ${family.type}`);
+      lines.push(`# HELP ${familyName} ${family.help}`);
+
+      family.series.forEach(series => {
+        if (family.type === 'counter') {
+          lines.push(`${family.name}${counterSuffix}${formatLabels(series.labels)} ${series.value}`);
+          return;
+        }
+
+        family.buckets.forEach((bound, index) => {
+          lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+        lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      });
+    });
+
+    if (this.bufferManager && this.isTracked('bufferUtilization')) {
+      const activeBuffers = await this.bufferManager.activeCount().catch(() => null);
+      if (activeBuffers !== null) {
+        lines.push(`# TYPE ${PREFIX}active_buffers gauge`);
+        lines.push(`# HELP ${PREFIX}active_buffers Chats with a non-empty buffer`);
+        lines.push(`${PREFIX}active_buffers ${activeBuffers}`);
+      }
+    }
+
+    if (this.breakers.size > 0) {
+      lines.push(`# TYPE ${PREFIX}circuit_breaker_state gauge`);
+      lines.push(`# HELP ${PREFIX}circuit_breaker_state Circuit state (0 closed, 1 half-open, 2 open)`);
+      this.breakers.forEach((breaker, name) => {
+        lines.push(`${PREFIX}circuit_breaker_state${formatLabels({ circuit: name })} ${BREAKER_STATE_VALUES[breaker.state]}`);
+      });
+    }
+
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Express/connect handler; negotiates OpenMetrics vs Prometheus text format
+  handler() {
+    return async (req, res) => {
+      const openMetrics = /application\/openmetrics-text/.test(req.headers.accept || '');
+
+      try {
+        const body = await this.render(openMetrics);
+        res.setHeader('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+        res.end(body);
+      } catch (error) {
+        res.statusCode = 500;
+        res.end(`# error rendering metrics: ${error.message}\n`);
+      }
+    };
+  }
+}
+
+module.exports = { PrometheusExporter, reasonLabel };
@@ -0,0 +1,158 @@
+/**
+ * 🚦 N8N Smart Buffer - Rate Limiter
+ * Redis sliding-window limiter per chatId, enforcing `security.rateLimiting`
+ *
+ * RATE_LIMIT_ENABLED / RATE_LIMIT_WINDOW / RATE_LIMIT_MAX_REQUESTS reach the
+ * limiter through the config-loader env overlay, like every other override.
+ * With `skipSuccessfulRequests`, messages the buffer accepted stop counting
+ * (see succeeded()), so only refused ones use up the window.
+ */
+
+const crypto = require('crypto');
+const { getConfig, configVersion } = require('./config-loader.js');
+
+const DEFAULT_KEY_PREFIX = 'smart-buffer:ratelimit:';
+
+// Sliding-window log. ARGV: now (ms), windowMs, maxRequests, member
+// Returns {allowed (1/0), count, retryAfterMs}
+const CONSUME_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+
+if count >= max then
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  local retryAfter = window
+  if oldest[2] then
+    retryAfter = tonumber(oldest[2]) + window - now
+  end
+  return {0, count, retryAfter}
+end
+
+redis.call('ZADD', key, now, ARGV[4])
+redis.call('PEXPIRE', key, window)
+return {1, count + 1, 0}
+`;
+
+function createRedisClient() {
+  const Redis = require('ioredis');
+  return new Redis(process.env.REDIS_URL);
+}
+
+class RateLimiter {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {object} [options.redis] - ioredis client
+   * @param {CircuitBreaker} [options.breaker] - Wraps Redis calls (usually the buffer's redis breaker)
+   * @param {MetricsCollector} [options.metrics] - Receives allowed/limited counts
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.reconfigure(config);
+
+    this.keyPrefix = options.keyPrefix || DEFAULT_KEY_PREFIX;
+    this.redis = options.redis || createRedisClient();
+    this.breaker = options.breaker || null;
+    this.metrics = options.metrics || null;
+
+    this.redis.defineCommand('rateLimitConsume', { numberOfKeys: 1, lua: CONSUME_SCRIPT });
+  }
+
+  reconfigure(config) {
+    const settings = (config.security && config.security.rateLimiting) || {};
+
+    Object.assign(this, {
+      enabled: settings.enabled !== false,
+      windowMs: settings.windowMs || 60000,
+      maxRequests: settings.maxRequests || 30,
+      skipSuccessfulRequests: Boolean(settings.skipSuccessfulRequests),
+      configVersion: configVersion(config)
+    });
+  }
+
+  key(chatId) {
+    if (!chatId) {
+      throw new Error('chatId is required');
+    }
+    return `${this.keyPrefix}${chatId}`;
+  }
+
+  call(fn) {
+    return this.breaker ? this.breaker.execute(fn) : fn();
+  }
+
+  /**
+   * Counts one request for the chat. Fails open when Redis is unavailable:
+   * a limiter outage must not block patients.
+   */
+  async consume(chatId, now = Date.now()) {
+    if (!this.enabled) {
+      return { allowed: true, limit: this.maxRequests, remaining: this.maxRequests, retryAfterMs: 0 };
+    }
+
+    // Outside the try: a missing chatId is a caller error, not an outage to fail open on
+    const key = this.key(chatId);
+    const token = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+    let result;
+
+    try {
+      const [allowed, count, retryAfterMs] = await this.call(() =>
+        this.redis.rateLimitConsume(key, now, this.windowMs, this.maxRequests, token)
+      );
+      result = {
+        allowed: allowed === 1,
+        limit: this.maxRequests,
+        remaining: Math.max(0, this.maxRequests - count),
+        retryAfterMs: Number(retryAfterMs),
+        token: allowed === 1 ? token : null
+      };
+    } catch (error) {
+      result = { allowed: true, limit: this.maxRequests, remaining: null, retryAfterMs: 0, degraded: true };
+    }
+
+    if (this.metrics) {
+      this.metrics.recordRateLimit(result);
+    }
+
+    return result;
+  }
+
+  // With skipSuccessfulRequests, requests that completed fine stop counting
+  async succeeded(chatId, token) {
+    if (!this.skipSuccessfulRequests || !token) {
+      return;
+    }
+
+    const key = this.key(chatId);
+    await this.call(() => this.redis.zrem(key, token)).catch(() => {});
+  }
+
+  /**
+   * Runs before semantic analysis. Returns null when the message may proceed,
+   * or a `rate_limited` decision to stop the pipeline.
+   */
+  async check(chatId, now = Date.now()) {
+    const result = await this.consume(chatId, now);
+    return result.allowed ? null : this.decision(result);
+  }
+
+  // The `rate_limited` decision for a consume() result that was not allowed
+  decision(result) {
+    return {
+      decision: 'rate_limited',
+      reason: `Rate limit exceeded (${this.maxRequests} per ${this.windowMs / 1000}s)`,
+      should_wait: false,
+      wait_time: 0,
+      retry_after: Math.ceil(result.retryAfterMs / 1000),
+      retry_after_ms: result.retryAfterMs,
+      rate_limit: { limit: result.limit, remaining: result.remaining, window_ms: this.windowMs },
+      config_version: this.configVersion
+    };
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,285 @@
+/**
+ * 🧠 N8N Smart Buffer - Semantic Analyzer
+ * Detects fragments, completeness, intent and entities from the industry config patterns
+ *
+ * `semantic.patterns` is the pack for `semantic.language.default`; packs under
+ * `semantic.patterns.locales.<locale>` apply to messages detected in that
+ * language. Fragments, complete patterns and intents a pack leaves out come
+ * from the default; entities are merged per entity, so a pack that only
+ * defines `age` still extracts the default `dni` and `phone`.
+ *
+ * Fragment, completeness and intent patterns run on normalized text (see
+ * text-normalizer.js); entities are extracted from the text as written and
+ * resolved into structured values by entity-resolver.js.
+ *
+ * Non-text messages (voice notes, photos, locations...) follow their
+ * `buffer.media` policy; a caption is analyzed like any other text.
+ *
+ * analyzeWithML() runs the regex analysis first and, with `ml.enabled`, blends
+ * in the ML services (see ml-client.js). When they fail or time out the
+ * message keeps its regex analysis.
+ */
+
+const { getConfig, configVersion } = require('./config-loader.js');
+const { LanguageDetector } = require('./language-detector.js');
+const { TextNormalizer } = require('./text-normalizer.js');
+const { EntityResolver } = require('./entity-resolver.js');
+const { normalizeMessage, attachmentOf, mediaPolicies, policyFor } = require('./message-types.js');
+
+const ANALYZER_VERSION = '1.4.0';
+
+const PATTERN_KINDS = ['fragments', 'complete', 'intents', 'entities'];
+
+// Kinds matched against normalized text
+const NORMALIZED_KINDS = ['fragments', 'complete', 'intents'];
+
+// Continuation cues that apply to every industry (trailing punctuation, connectors)
+const CONTINUATION_PATTERNS = [
+  /\.\.\.$|,$|:$/            // ends with ..., comma, colon
+];
+
+// Grammatical completeness cues
+const COMPLETE_GRAMMAR = [
+  /\?$/,                     // ends with question
+  /[.!]$/                    // ends with period or exclamation
+];
+
+// Language-specific connectors, trailing prepositions and courtesy words
+const LOCALE_CUES = {
+  es: {
+    continuation: [/^(y |o |pero |tambien |también )/, /\b(para|de)\s*$/],
+    complete: [/\bgracias\b/, /\bpor favor\b/]
+  },
+  en: {
+    continuation: [/^(and |or |but |also )/, /\b(for|to|of|with|the)\s*$/],
+    complete: [/\bthank(s| you)\b/, /\bplease\b/]
+  },
+  pt: {
+    continuation: [/^(e |ou |mas |tambem |também )/, /\b(para|de|do|da|com)\s*$/],
+    complete: [/\bobrigad[oa]\b/, /\bpor favor\b/]
+  }
+};
+
+// Messages longer than this are treated as complete when nothing else matches
+const COMPLETE_LENGTH = 25;
+
+function matches(pattern, text) {
+  // Config patterns may carry the g flag; reset so test() is stateless
+  pattern.lastIndex = 0;
+  return pattern.test(text);
+}
+
+class SemanticAnalyzer {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {MetricsCollector} [options.metrics] - Receives intent and entity counts
+   * @param {Logger} [options.logger] - Receives each analysis under the `semantic` debug category
+   * @param {MLClient} [options.ml] - Used by analyzeWithML(); reconfigured along with the analyzer
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.metrics = options.metrics || null;
+    this.logger = options.logger || null;
+    this.ml = options.ml || null;
+
+    this.reconfigure(config);
+  }
+
+  // Swaps patterns in one step; analyses already running finish on the old ones
+  reconfigure(config) {
+    const semantic = config.semantic || {};
+    const { locales = {}, ...defaultPack } = semantic.patterns || {};
+    const language = semantic.language || {};
+    const defaultLocale = language.default || 'es';
+
+    const normalizer = new TextNormalizer(config);
+    const resolver = new EntityResolver(config);
+    const packs = { [defaultLocale]: defaultPack, ...locales };
+    Object.keys(packs).forEach(locale => {
+      packs[locale] = Object.fromEntries(PATTERN_KINDS.map(kind =>
+        [kind, packs[locale][kind] || defaultPack[kind] || (kind === 'fragments' || kind === 'complete' ? [] : {})]
+      ));
+      packs[locale].entities = { ...defaultPack.entities, ...packs[locale].entities };
+
+      NORMALIZED_KINDS.forEach(kind => {
+        const pack = packs[locale];
+        pack[kind] = Array.isArray(pack[kind]) ?
+          pack[kind].map(pattern => normalizer.pattern(pattern)) :
+          Object.fromEntries(Object.entries(pack[kind]).map(([name, pattern]) => [name, normalizer.pattern(pattern)]));
+      });
+
+      const { fragments, complete, intents } = packs[locale];
+      normalizer.learn(locale, [...fragments, ...complete, ...Object.values(intents)]);
+    });
+
+    const detectorOptions = { defaultLocale, locales: language.detect };
+    if (this.detector) {
+      this.detector.configure(detectorOptions);
+    } else {
+      this.detector = new LanguageDetector(detectorOptions);
+    }
+
+    const policies = mediaPolicies(config);
+    if (this.ml) {
+      this.ml.reconfigure(config);
+    }
+
+    Object.assign(this, {
+      ...packs[defaultLocale],
+      defaultLocale,
+      normalizer,
+      resolver,
+      policies,
+      packs,
+      configVersion: configVersion(config)
+    });
+  }
+
+  // Pack for a locale, or the default pack when the locale has none
+  packFor(locale) {
+    return this.packs[locale] || this.packs[this.defaultLocale];
+  }
+
+  detectLanguage(text, chatId, options = {}) {
+    return this.detector.detect(text, chatId, options);
+  }
+
+  normalize(text, locale = this.defaultLocale) {
+    return this.normalizer.normalize(text, this.packs[locale] ? locale : this.defaultLocale);
+  }
+
+  // The checks below take the normalized text when the caller already has it
+  isContinuation(text, locale = this.defaultLocale, normalizedText = this.normalize(text, locale)) {
+    const cues = (LOCALE_CUES[locale] || {}).continuation || [];
+    return CONTINUATION_PATTERNS.concat(cues).some(pattern => matches(pattern, normalizedText));
+  }
+
+  needsBuffering(text, locale = this.defaultLocale, normalizedText = this.normalize(text, locale)) {
+    if (this.packFor(locale).fragments.some(pattern => matches(pattern, normalizedText))) {
+      return true;
+    }
+
+    return this.isContinuation(text, locale, normalizedText);
+  }
+
+  isComplete(text, locale = this.defaultLocale, normalizedText = this.normalize(text, locale)) {
+    if (!normalizedText || this.isContinuation(text, locale, normalizedText)) {
+      return false;
+    }
+
+    const cues = (LOCALE_CUES[locale] || {}).complete || [];
+    return this.packFor(locale).complete.some(pattern => matches(pattern, normalizedText)) ||
+           COMPLETE_GRAMMAR.concat(cues).some(pattern => matches(pattern, normalizedText)) ||
+           normalizedText.length > COMPLETE_LENGTH;
+  }
+
+  detectIntent(text, locale = this.defaultLocale, normalizedText = this.normalize(text, locale)) {
+    // Intents are checked in config order, so earlier entries take priority
+    for (const [intent, pattern] of Object.entries(this.packFor(locale).intents)) {
+      if (matches(pattern, normalizedText)) {
+        return intent;
+      }
+    }
+
+    return 'general';
+  }
+
+  extractEntities(text, locale = this.defaultLocale) {
+    const entities = {};
+
+    Object.entries(this.packFor(locale).entities).forEach(([name, pattern]) => {
+      entities[name] = String(text || '').match(pattern) || [];
+    });
+
+    return entities;
+  }
+
+  resolveEntities(text, locale = this.defaultLocale, now = Date.now()) {
+    return this.resolver.resolve(text, { entities: this.packFor(locale).entities, locale, now });
+  }
+
+  /**
+   * @param {string|object} input - Message text, or a message `{ chatId, type, text|message, ...part }`
+   *   (see message-types.js)
+   * @param {object} [options]
+   * @param {boolean} [options.record] - false leaves the chat's language memory and
+   *   the metrics untouched (re-analysis of text that was already counted)
+   */
+  analyze(input, options = {}) {
+    const message = normalizeMessage(typeof input === 'string' ? { text: input } : input || {});
+    const messageText = message.text;
+    const policy = policyFor(this.policies, message);
+
+    const chatId = message.chatId;
+    const record = options.record !== false;
+    // A voice note says nothing about the chat's language
+    const language = this.detectLanguage(messageText, chatId, { remember: record && messageText !== '' });
+    const locale = this.packs[language.locale] ? language.locale : this.defaultLocale;
+    const normalizedText = this.normalize(messageText, locale);
+    const isComplete = policy === 'complete' || (policy === 'analyze' && this.isComplete(messageText, locale, normalizedText));
+    const now = Date.now();
+
+    const analysis = {
+      original_text: messageText,
+      normalized_text: normalizedText,
+      message_type: message.type,
+      media_policy: policy,
+      attachment: attachmentOf(message),
+      needs_buffering: policy === 'fragment' || (policy === 'analyze' && this.needsBuffering(messageText, locale, normalizedText)),
+      is_complete: isComplete,
+      intent: this.detectIntent(messageText, locale, normalizedText),
+      entities: this.extractEntities(messageText, locale),
+      // Structured values with spans: ISO dates in the clinic timezone, E.164 phones, canonical ids
+      resolved_entities: this.resolveEntities(messageText, locale, now),
+      confidence: isComplete ? 0.9 : 0.6,
+      // Language the user wrote in (for the reply) and the pattern pack applied
+      language: language.locale,
+      language_confidence: language.confidence,
+      language_source: language.source,
+      pattern_locale: locale,
+      timestamp: now,
+      analyzer_version: ANALYZER_VERSION,
+      config_version: this.configVersion
+    };
+
+    if (this.metrics && record) {
+      this.metrics.recordAnalysis(analysis);
+    }
+    if (this.logger) {
+      this.logger.debug('semantic', 'Message analyzed', { chatId, analysis });
+    }
+
+    return analysis;
+  }
+
+  /**
+   * analyze() followed by the ML services when `ml.enabled`. A failed ML
+   * call never fails the message: the regex analysis is returned with
+   * `ml.fallback_used` and the error.
+   */
+  async analyzeWithML(input, options = {}) {
+    const analysis = this.analyze(input, options);
+
+    if (!this.ml || !this.ml.enabled || analysis.original_text === '') {
+      return analysis;
+    }
+
+    try {
+      return await this.ml.analyze(analysis);
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn('semantic', 'ML analysis failed, keeping the regex analysis', {
+          chatId: input && input.chatId,
+          error: error.message
+        });
+      }
+      return {
+        ...analysis,
+        analysis_source: { intent: 'regex', entities: 'regex', sentiment: null },
+        ml: { model: this.ml.model, fallback_used: true, errors: { analysis: error.message } }
+      };
+    }
+  }
+}
+
+module.exports = { SemanticAnalyzer, ANALYZER_VERSION };
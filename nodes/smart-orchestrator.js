@@ -0,0 +1,222 @@
+/**
+ * ⚙️ N8N Smart Buffer - Smart Orchestrator
+ * Decides whether to process now or wait, using the selected timing profile,
+ * and flushes a chat's buffer into one aggregated payload when it's time to process
+ */
+
+const { getConfig, configVersion } = require('./config-loader.js');
+
+const DEFAULT_PROFILE = 'balanced';
+
+const URGENT_INTENTS = ['appointment', 'modification', 'cancellation'];
+const SIMPLE_INTENTS = ['greeting', 'farewell', 'information'];
+
+class SmartOrchestrator {
+  /**
+   * @param {object} config - Industry configuration
+   * @param {object} [options]
+   * @param {string} [options.profile] - Deployment profile (defaults to TIMING_PROFILE env)
+   * @param {object} [options.chatProfiles] - Per-chat overrides, chatId → profile name
+   * @param {CircuitBreaker} [options.redisBreaker] - When open, every decision falls back to immediate
+   * @param {BufferManager} [options.buffer] - Needed by flush()
+   * @param {MessageAggregator} [options.aggregator] - Needed by flush()
+   * @param {MetricsCollector} [options.metrics] - Receives decisions, fallbacks and the response time of flushed buffers
+   * @param {Logger} [options.logger] - Receives each decision under the `timing` debug category
+   */
+  constructor(config = getConfig(), options = {}) {
+    this.chatProfiles = new Map(Object.entries(options.chatProfiles || {}));
+    this.defaultProfile = options.profile || process.env.TIMING_PROFILE || DEFAULT_PROFILE;
+    this.redisBreaker = options.redisBreaker || null;
+    this.buffer = options.buffer || null;
+    this.aggregator = options.aggregator || null;
+    this.metrics = options.metrics || null;
+    this.logger = options.logger || null;
+
+    this.reconfigure(config);
+  }
+
+  /**
+   * Swaps timing settings in one step. Throws, leaving the current settings in
+   * place, when a profile in use (default or per-chat) is missing.
+   */
+  reconfigure(config) {
+    const timing = config.timing || {};
+    const profiles = timing.profiles || {};
+    const inUse = new Set([this.defaultProfile, ...this.chatProfiles.values()]);
+    const missing = Array.from(inUse).filter(name => !profiles[name]);
+
+    if (missing.length > 0) {
+      throw new Error(`Unknown timing profile '${missing.join("', '")}' (available: ${Object.keys(profiles).join(', ')})`);
+    }
+
+    Object.assign(this, {
+      profiles,
+      // The buffer drops its oldest messages past this, so it caps maxBuffer
+      bufferMaxSize: (config.buffer && config.buffer.maxSize) || Infinity,
+      // Presets whose intents differ from the medical ones classify them here
+      urgentIntents: timing.urgentIntents || URGENT_INTENTS,
+      simpleIntents: timing.simpleIntents || SIMPLE_INTENTS,
+      configVersion: configVersion(config)
+    });
+  }
+
+  getProfile(name) {
+    const profile = this.profiles[name];
+
+    if (!profile) {
+      throw new Error(`Unknown timing profile '${name}' (available: ${Object.keys(this.profiles).join(', ')})`);
+    }
+
+    return profile;
+  }
+
+  setChatProfile(chatId, name) {
+    this.getProfile(name);
+    this.chatProfiles.set(String(chatId), name);
+  }
+
+  clearChatProfile(chatId) {
+    this.chatProfiles.delete(String(chatId));
+  }
+
+  profileFor(chatId) {
+    return (chatId !== undefined && this.chatProfiles.get(String(chatId))) || this.defaultProfile;
+  }
+
+  /**
+   * @param {object} analysis - SemanticAnalyzer output for the incoming message
+   * @param {Array} bufferMessages - Messages currently buffered for the chat
+   * @param {object} [context]
+   * @param {string} [context.chatId]
+   * @param {string} [context.profile] - Profile for this call only, wins over chat overrides
+   * @param {number} [context.now]
+   */
+  decide(analysis, bufferMessages = [], context = {}) {
+    const decision = this.evaluate(analysis, bufferMessages, context);
+
+    if (this.metrics) {
+      this.metrics.recordDecision(decision);
+    }
+    if (this.logger) {
+      this.logger.debug('timing', 'Decision made', { chatId: context.chatId, decision });
+    }
+
+    return decision;
+  }
+
+  /**
+   * Takes the chat's buffer and merges it into the payload for the AI agent.
+   * Returns null when a newer message arrived after `expectedLastId` (its own
+   * wait will flush the buffer instead).
+   */
+  async flush(chatId, expectedLastId = '') {
+    if (!this.buffer || !this.aggregator) {
+      throw new Error('flush() needs options.buffer and options.aggregator');
+    }
+
+    const messages = await this.buffer.flush(chatId, expectedLastId);
+    if (messages === null) {
+      return null;
+    }
+
+    const payload = this.aggregator.aggregate(messages, { chatId });
+    if (this.metrics && payload.message_count > 0) {
+      this.metrics.recordResponseTime(payload.first_timestamp);
+    }
+    return payload;
+  }
+
+  evaluate(analysis, bufferMessages, context) {
+    const profileName = context.profile || this.profileFor(context.chatId);
+    const timing = this.getProfile(profileName);
+    const now = context.now || Date.now();
+
+    const result = (decision, reason, extra) => ({
+      decision,
+      reason,
+      should_wait: decision === 'wait',
+      wait_time: 0,
+      buffer_count: bufferMessages.length,
+      timing_profile: profileName,
+      config_version: this.configVersion,
+      ...extra
+    });
+
+    // Reactions, stickers and empty messages neither buffer nor flush, even in fallback
+    if (analysis.media_policy === 'ignore') {
+      return result('ignore', `Ignored by media policy (${analysis.message_type})`, { confidence: 1.0 });
+    }
+
+    // 0. Redis unavailable: buffer state can't be trusted, degrade to immediate
+    if (this.redisBreaker && this.redisBreaker.isOpen()) {
+      return result('process_immediately', '[FALLBACK] Redis unavailable', {
+        fallback_used: true,
+        confidence: 1.0
+      });
+    }
+
+    // 1. If no buffer messages, process immediately
+    if (bufferMessages.length === 0) {
+      return result('process_immediately', 'No buffer messages - first message', { confidence: 1.0 });
+    }
+
+    // 2. If message appears complete, process immediately
+    if (bufferMessages.length === 1 && analysis.is_complete) {
+      return result('process_immediately', 'Single complete message detected', { confidence: analysis.confidence });
+    }
+
+    // 3. If message doesn't need buffering, process immediately
+    if (!analysis.needs_buffering) {
+      return result('process_immediately', 'Message does not need buffering', { confidence: analysis.confidence });
+    }
+
+    // 4. Check timing thresholds
+    const lastMessage = bufferMessages[bufferMessages.length - 1];
+    const timeSinceLastMessage = now - ((lastMessage && lastMessage.timestamp) || 0);
+
+    const isUrgent = this.urgentIntents.includes(analysis.intent);
+    const isSimple = this.simpleIntents.includes(analysis.intent);
+
+    if (timeSinceLastMessage > timing.complex) {
+      return result('process_immediately', `Time threshold exceeded (${timing.complex}ms)`, { confidence: 0.8 });
+    }
+
+    const maxBuffer = Math.min(timing.maxBuffer, this.bufferMaxSize);
+    if (bufferMessages.length >= maxBuffer) {
+      return result('process_immediately', `Buffer full (${maxBuffer}+ messages)`, { confidence: 0.9 });
+    }
+
+    if (isUrgent && timeSinceLastMessage > timing.urgent) {
+      return result('process_immediately', `Urgent query timeout (${timing.urgent}ms)`, { confidence: 0.8 });
+    }
+
+    if (isSimple && timeSinceLastMessage > timing.simple) {
+      return result('process_immediately', `Simple query timeout (${timing.simple}ms)`, { confidence: 0.7 });
+    }
+
+    // 5. Wait with adaptive timing
+    let waitTime;
+    if (isUrgent) {
+      waitTime = Math.max(1000, timing.urgent - timeSinceLastMessage);
+    } else if (isSimple) {
+      waitTime = Math.max(1500, timing.simple - timeSinceLastMessage);
+    } else {
+      waitTime = Math.max(2000, timing.complex - timeSinceLastMessage);
+    }
+
+    return result('wait', `Waiting for message completion (${Math.round(waitTime / 1000)}s max)`, {
+      wait_time: waitTime,
+      last_message_age: timeSinceLastMessage,
+      confidence: 0.6,
+      query_analysis: {
+        intent: analysis.intent,
+        is_urgent: isUrgent,
+        is_simple: isSimple,
+        needs_buffering: analysis.needs_buffering,
+        is_complete: analysis.is_complete
+      }
+    });
+  }
+}
+
+module.exports = { SmartOrchestrator, URGENT_INTENTS, SIMPLE_INTENTS };
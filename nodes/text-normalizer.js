@@ -0,0 +1,216 @@
+/**
+ * 🧹 N8N Smart Buffer - Text Normalizer
+ * Cleans chat text before pattern matching: accents, shorthand, emojis, repeats and typos
+ *
+ * Steps (each can be switched off in `semantic.normalization`):
+ *   foldAccents     - "ubicación" → "ubicacion"; config patterns are folded the same way
+ *                     (ñ is kept: "año" and "ano" are different words)
+ *   collapseRepeats - "holaaaa" → "hola"
+ *   emojis          - mapped emojis become words (👍 → "ok"), the rest are stripped
+ *   abbreviations   - whole-word shorthand ("xq" → "porque")
+ *   fuzzy           - words close to a pattern keyword take its spelling ("tunro" → "turno");
+ *                     words in `keep` ("dolar", "lista"), words whose first letter
+ *                     differs ("coche" is not a typo of "noche") and inflections that
+ *                     only add, drop or end in a final s or n ("tienen" is not a typo
+ *                     of "tiene", nor "reservan" of "reservar") are left alone
+ *
+ * Only the analyzer's copy is normalized; message text stored in the buffer
+ * and the aggregated output keep what the user wrote.
+ */
+
+const { getConfig } = require('./config-loader.js');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const KEYWORD_PATTERN = /[\p{L}]+/gu;
+const REPEAT_PATTERN = /(\p{L})\1{2,}/gu;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(\u{FE0F}|\p{Emoji_Modifier}|\u{200D}\p{Extended_Pictographic})*/gu;
+
+const DEFAULT_FUZZY = { enabled: true, minLength: 5, maxDistance: 1 };
+
+// Settings a locale may override; kinds it leaves out come from the defaults
+const LOCALE_KINDS = ['abbreviations', 'emojis', 'keep'];
+
+function foldAccents(text) {
+  return text.normalize('NFD')
+    .replace(/\p{M}/gu, (mark, offset, decomposed) => mark === '\u0303' && /n/i.test(decomposed[offset - 1]) ? mark : '')
+    .normalize('NFC');
+}
+
+/**
+ * Optimal string alignment distance (a transposition counts as one edit),
+ * giving up as soon as it exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let best = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previousRow[j - 2] + 1);
+      }
+      best = Math.min(best, next[j]);
+    }
+
+    if (best > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = next;
+  }
+
+  return row[b.length];
+}
+
+// Plural and verb endings: a keyword plus or minus a final s or n ("tiene" /
+// "tienen"), or with its last letter turned into one ("reservar" / "reservan"),
+// is a real word
+function inflectionOf(word, candidate) {
+  if (word.length === candidate.length) {
+    return /[sn]$/.test(word) && word.slice(0, -1) === candidate.slice(0, -1);
+  }
+
+  const [shorter, longer] = word.length < candidate.length ? [word, candidate] : [candidate, word];
+  return longer.length === shorter.length + 1 && longer.startsWith(shorter) && /[sn]$/.test(longer);
+}
+
+class TextNormalizer {
+  /**
+   * @param {object} config - Industry configuration
+   */
+  constructor(config = getConfig()) {
+    this.reconfigure(config);
+  }
+
+  reconfigure(config) {
+    const settings = (config.semantic && config.semantic.normalization) || {};
+    const { locales = {}, ...defaults } = settings;
+
+    this.enabled = settings.enabled !== false;
+    this.foldAccents = settings.foldAccents !== false;
+    this.collapseRepeats = settings.collapseRepeats !== false;
+    this.stripEmojis = settings.stripEmojis !== false;
+    this.fuzzy = { ...DEFAULT_FUZZY, ...(settings.fuzzy || {}) };
+
+    this.defaults = this.dictionaries(defaults);
+    this.locales = Object.fromEntries(Object.entries(locales || {}).map(([locale, overrides]) =>
+      [locale, this.dictionaries({ ...defaults, ...Object.fromEntries(
+        LOCALE_KINDS.filter(kind => overrides && overrides[kind]).map(kind => [kind, overrides[kind]])
+      ) })]
+    ));
+    this.vocabularies = new Map();
+  }
+
+  dictionaries({ abbreviations = {}, emojis = {}, keep = [] }) {
+    return {
+      abbreviations: new Map(Object.entries(abbreviations).map(([short, full]) => [this.fold(short), this.fold(full)])),
+      emojis: new Map(Object.entries(emojis).map(([emoji, word]) => [emoji, this.fold(word)])),
+      // Real words one edit away from a keyword, never corrected
+      keep: new Set(keep.map(word => this.fold(word)))
+    };
+  }
+
+  dictionariesFor(locale) {
+    return this.locales[locale] || this.defaults;
+  }
+
+  fold(text) {
+    const lower = String(text || '').toLowerCase();
+    return this.enabled && this.foldAccents ? foldAccents(lower) : lower;
+  }
+
+  /**
+   * Pattern with its literal accents folded, so it matches normalized text.
+   * The pattern itself is returned when nothing changes.
+   */
+  pattern(regex) {
+    if (!this.enabled || !this.foldAccents) {
+      return regex;
+    }
+
+    const source = foldAccents(regex.source);
+    return source === regex.source ? regex : new RegExp(source, regex.flags);
+  }
+
+  /**
+   * Registers the keywords of a locale's patterns for fuzzy matching.
+   * Escapes (\b, \d, \s) are dropped so only literal words remain.
+   */
+  learn(locale, patterns) {
+    const vocabulary = new Set();
+
+    patterns.forEach(pattern => {
+      const literal = foldAccents(pattern.source.toLowerCase()).replace(/\\./g, ' ');
+      (literal.match(KEYWORD_PATTERN) || [])
+        .filter(word => word.length >= this.fuzzy.minLength)
+        .forEach(word => vocabulary.add(word));
+    });
+
+    this.vocabularies.set(locale, vocabulary);
+  }
+
+  correct(word, vocabulary, keep = new Set()) {
+    if (word.length < this.fuzzy.minLength || vocabulary.has(word) || keep.has(word) || /\d/.test(word)) {
+      return word;
+    }
+
+    let best = null;
+    let bestDistance = this.fuzzy.maxDistance + 1;
+
+    vocabulary.forEach(candidate => {
+      if (candidate[0] !== word[0] || inflectionOf(word, candidate)) {
+        return;
+      }
+      const distance = editDistance(word, candidate, this.fuzzy.maxDistance);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return best || word;
+  }
+
+  normalize(text, locale) {
+    let normalized = String(text || '').toLowerCase().trim();
+
+    if (!this.enabled) {
+      return normalized;
+    }
+
+    const { abbreviations, emojis, keep } = this.dictionariesFor(locale);
+    const vocabulary = this.fuzzy.enabled ? this.vocabularies.get(locale) : null;
+
+    normalized = normalized.replace(EMOJI_PATTERN, emoji => {
+      const word = emojis.get(emoji) || emojis.get(emoji.replace(/\u{FE0F}|\p{Emoji_Modifier}/gu, ''));
+      return word ? ` ${word} ` : (this.stripEmojis ? ' ' : emoji);
+    });
+
+    if (this.foldAccents) {
+      normalized = foldAccents(normalized);
+    }
+    if (this.collapseRepeats) {
+      normalized = normalized.replace(REPEAT_PATTERN, '$1');
+    }
+
+    normalized = normalized.replace(TOKEN_PATTERN, token => {
+      if (abbreviations.has(token)) {
+        return abbreviations.get(token);
+      }
+      return vocabulary ? this.correct(token, vocabulary, keep) : token;
+    });
+
+    return normalized.replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = { TextNormalizer, foldAccents, editDistance };
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * 🔐 N8N Smart Buffer - Buffer Re-encryption
+ * Rewrites existing buffers with the active encryption key (one-off, after enabling or rotating keys)
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const { BufferManager } = require('./nodes/buffer-manager.js');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+async function main() {
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL is not configured');
+  }
+
+  const Redis = require('ioredis');
+  // Dedicated connection: WATCH/MULTI must not share a client with other traffic
+  const redis = new Redis(process.env.REDIS_URL);
+  const bufferManager = new BufferManager(undefined, { redis });
+
+  try {
+    log(`🔐 Re-encrypting buffers with key '${bufferManager.cipher ? bufferManager.cipher.activeKeyId : '-'}'...`, 'blue');
+    const report = await bufferManager.reencrypt();
+
+    log(`✅ Rewrote ${report.records} records in ${report.keys} buffers`, 'green');
+    if (report.rejected > 0) {
+      log(`⚠️  Dropped ${report.rejected} records that failed authentication`, 'yellow');
+    }
+  } finally {
+    await redis.quit();
+  }
+}
+
+main().catch(error => {
+  log(`\n❌ Re-encryption failed: ${error.message}`, 'red');
+  process.exit(1);
+});
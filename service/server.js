@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * 🛰️ N8N Smart Buffer - Buffering Service
+ * Webhook endpoint for WhatsApp/Telegram/Twilio payloads; ready buffers are
+ * POSTed to the flush callback, so n8n runs once per complete message
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const { getConfig } = require('../nodes/config-loader.js');
+const { InboundAdapters } = require('../nodes/inbound-adapters.js');
+
+const TOKEN_HEADER = 'x-smart-buffer-token';
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Shared secret as `?token=` (for providers that can't set headers) or X-Smart-Buffer-Token
+function webhookToken(token) {
+  return (req, res, next) => {
+    const received = req.get(TOKEN_HEADER) || req.query.token;
+
+    if (received && safeEqual(received, token)) {
+      next();
+      return;
+    }
+    res.status(401).json({ error: 'Invalid webhook token' });
+  };
+}
+
+/**
+ * @param {object} deps
+ * @param {BufferService} deps.service
+ * @param {object} [deps.config] - Industry configuration
+ * @param {InboundAdapters} [deps.inbound]
+ * @param {PrometheusExporter} [deps.exporter] - Serves /metrics when provided
+ * @param {string} [deps.token] - Required on POST /webhook when set
+ * @param {string} [deps.verifyToken] - Answers the WhatsApp Cloud API subscription check on GET /webhook
+ */
+function createService(deps) {
+  const config = deps.config || getConfig();
+  const inbound = deps.inbound || new InboundAdapters(config);
+  const { service } = deps;
+  const app = express();
+
+  app.use(express.json({ limit: '1mb' }));
+  // Twilio posts form-encoded bodies
+  app.use(express.urlencoded({ extended: false, limit: '1mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', config: config.name, waiting: service.timers.size });
+  });
+
+  if (deps.exporter) {
+    app.get('/metrics', deps.exporter.handler());
+  }
+
+  if (deps.verifyToken) {
+    app.get('/webhook', (req, res) => {
+      if (req.query['hub.mode'] === 'subscribe' && safeEqual(req.query['hub.verify_token'] || '', deps.verifyToken)) {
+        res.send(req.query['hub.challenge']);
+        return;
+      }
+      res.sendStatus(403);
+    });
+  }
+
+  const receive = async (req, res) => {
+    try {
+      const { messages, rejected } = inbound.parse(req.body, { provider: req.params.provider });
+      const decisions = [];
+
+      // Nothing in the body can be buffered: refuse it. Otherwise the rest of a
+      // batch is accepted and each bad message is reported on its own
+      if (messages.length === 0 && rejected.length > 0) {
+        throw rejected[0];
+      }
+
+      // In order, so a chat's messages reach its buffer as they were sent
+      for (const message of messages) {
+        const { decision, reason, wait_time: waitTime, chatId, message_id: id } = await service.receive(message);
+        decisions.push({ id, chatId, decision, reason, wait_time: waitTime });
+      }
+      rejected.forEach(error => {
+        decisions.push({ id: error.messageId, decision: 'rejected', reason: error.message, code: error.code });
+      });
+
+      res.json({ received: messages.length, rejected: rejected.length, decisions });
+    } catch (error) {
+      // Providers retry non-2xx responses; only malformed payloads are refused
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  };
+
+  const guard = deps.token ? [webhookToken(deps.token)] : [];
+  app.post('/webhook', ...guard, receive);
+  app.post('/webhook/:provider', ...guard, receive);
+
+  return app;
+}
+
+async function main() {
+  require('dotenv').config();
+
+  const Redis = require('ioredis');
+  const { ConfigWatcher } = require('../nodes/config-watcher.js');
+  const { BufferManager } = require('../nodes/buffer-manager.js');
+  const { BufferService } = require('../nodes/buffer-service.js');
+  const { RateLimiter } = require('../nodes/rate-limiter.js');
+  const { Logger } = require('../nodes/logger.js');
+
+  const watcher = new ConfigWatcher();
+  const config = watcher.config;
+
+  if (!config.service || !config.service.callback || !config.service.callback.url) {
+    throw new Error('CALLBACK_URL (service.callback.url) is required');
+  }
+
+  const redis = new Redis(config.redis.url);
+  const logger = new Logger({ redis, config });
+  let exporter = null;
+  let metrics = null;
+  let alertEngine = null;
+
+  if (process.env.SERVICE_METRICS_ENABLED !== 'false') {
+    const { MetricsCollector } = require('../nodes/metrics-collector.js');
+    const { PrometheusExporter } = require('../nodes/prometheus-exporter.js');
+    const { AlertEngine } = require('../nodes/alert-engine.js');
+    const { AlertNotifier } = require('../nodes/alert-notifier.js');
+
+    // The engine evaluates the samples this process records and shares what
+    // fires through Redis, where the dashboard reads it
+    alertEngine = new AlertEngine(config, { redis });
+    watcher.notifier = new AlertNotifier(config).attach(alertEngine);
+    exporter = new PrometheusExporter(config);
+    metrics = new MetricsCollector(config, { redis, exporter, alertEngine });
+  }
+
+  const buffer = new BufferManager(config, { redis, metrics, logger });
+  const rateLimiter = new RateLimiter(config, { redis, breaker: buffer.breaker, metrics });
+  const service = new BufferService(config, { buffer, rateLimiter, metrics, logger });
+  const inbound = new InboundAdapters(config, { logger });
+
+  // The exporter exists before the buffer it reports on
+  if (exporter) {
+    exporter.bufferManager = buffer;
+  }
+  if (metrics) {
+    // Feeds redis_failures to the alert engine and the exporter
+    metrics.watchBreaker(buffer.breaker);
+    alertEngine.start();
+  }
+
+  watcher.attach(...service.components, inbound, buffer);
+  if (alertEngine) {
+    watcher.attach(alertEngine, watcher.notifier);
+  }
+  watcher.start();
+  buffer.start();
+
+  let retention = null;
+  if (process.env.SERVICE_RETENTION_ENABLED === 'true') {
+    const { DataRetention } = require('../nodes/data-retention.js');
+    retention = new DataRetention(config, { redis, bufferManager: buffer, metrics: metrics || undefined, rateLimiter });
+    retention.start();
+  }
+
+  const app = createService({
+    config,
+    service,
+    inbound,
+    exporter,
+    token: process.env.SERVICE_WEBHOOK_TOKEN || undefined,
+    verifyToken: process.env.WHATSAPP_VERIFY_TOKEN || undefined
+  });
+
+  const port = parseInt(process.env.SERVICE_PORT, 10) || 3100;
+  const server = app.listen(port, () => {
+    console.log(`🛰️  Smart Buffer service listening on http://localhost:${port} (callback: ${config.service.callback.url})`);
+  });
+
+  // Waiting buffers are delivered before exit instead of sitting until their TTL
+  const shutdown = () => {
+    server.close();
+    watcher.stop();
+    buffer.stop();
+    if (alertEngine) {
+      alertEngine.stop();
+    }
+    if (retention) {
+      retention.stop();
+    }
+    service.stop().finally(() => redis.quit()).finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ Service failed to start: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createService, webhookToken };
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * 🧩 N8N Smart Buffer - Effective Configuration
+ * Prints the loaded config (preset + env overrides) with the source of each value
+ *
+ * Usage:
+ *   node show_config_script.js               # every value
+ *   node show_config_script.js --overrides   # only values set from the environment
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const path = require('path');
+const { loadConfig, describeConfig } = require('./nodes/config-loader.js');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function main() {
+  const onlyOverrides = process.argv.includes('--overrides');
+  const loaded = loadConfig();
+
+  log(`🧩 Effective configuration: ${loaded.name} (${path.relative(process.cwd(), loaded.file) || loaded.file})\n`, 'bold');
+
+  const lines = describeConfig(loaded);
+  const shown = onlyOverrides ? lines.filter(line => line.includes('← env ')) : lines;
+
+  shown.forEach(line => log(line, line.includes('← env ') ? 'yellow' : 'reset'));
+
+  const overrides = lines.filter(line => line.includes('← env ')).length;
+  log(`\n✅ ${lines.length} values, ${overrides} from environment overrides`, 'green');
+}
+
+try {
+  main();
+} catch (error) {
+  log(`\n❌ Configuration loading failed: ${error.message}`, 'red');
+  process.exit(1);
+}
@@ -0,0 +1,43 @@
+const { AlertEngine } = require('../../nodes/alert-engine.js');
+
+const alertsConfig = (triggers, extra = {}) => ({ metrics: { alerts: { triggers, ...extra } } });
+const redisDown = { name: 'redis_down', condition: 'redis_failures > 3 in 3min', severity: 'critical' };
+
+describe('AlertEngine', () => {
+  it('raises an alert when its condition holds', () => {
+    const engine = new AlertEngine(alertsConfig([redisDown]));
+    [1, 2, 3, 4].forEach(() => engine.record('redis_failures', 1, 1000));
+
+    expect(engine.evaluate(2000).map(alert => alert.name)).toEqual(['redis_down']);
+  });
+
+  describe('reconfigure', () => {
+    it('evaluates the reloaded triggers', () => {
+      const engine = new AlertEngine(alertsConfig([redisDown]));
+      engine.reconfigure(alertsConfig([{ ...redisDown, condition: 'redis_failures > 1 in 3min' }]));
+      [1, 2].forEach(() => engine.record('redis_failures', 1, 1000));
+
+      expect(engine.evaluate(2000).map(alert => alert.name)).toEqual(['redis_down']);
+    });
+
+    it('resolves active alerts whose trigger was removed', () => {
+      const engine = new AlertEngine(alertsConfig([redisDown]));
+      const resolved = vi.fn();
+      engine.on('resolved', resolved);
+      [1, 2, 3, 4].forEach(() => engine.record('redis_failures', 1, 1000));
+      engine.evaluate(2000);
+
+      engine.reconfigure(alertsConfig([]));
+
+      expect(resolved).toHaveBeenCalledWith(expect.objectContaining({ name: 'redis_down' }));
+      expect(engine.activeAlerts()).toEqual([]);
+    });
+
+    it('keeps the previous triggers when a condition does not compile', () => {
+      const engine = new AlertEngine(alertsConfig([redisDown]));
+
+      expect(() => engine.reconfigure(alertsConfig([{ name: 'broken', condition: 'nonsense' }]))).toThrow(/Invalid alert triggers/);
+      expect(engine.rules.map(rule => rule.name)).toEqual(['redis_down']);
+    });
+  });
+});
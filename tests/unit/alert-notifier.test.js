@@ -0,0 +1,41 @@
+const { AlertNotifier } = require('../../nodes/alert-notifier.js');
+
+const channel = name => ({ name, send: vi.fn(async () => {}) });
+const alert = { name: 'redis_down', severity: 'critical', value: 4 };
+
+describe('AlertNotifier', () => {
+  it('routes an alert to the channels listed for its severity', async () => {
+    const slack = channel('slack');
+    const webhook = channel('webhook');
+    const notifier = new AlertNotifier({ metrics: { alerts: { routing: { critical: ['slack'] } } } }, { channels: [slack, webhook] });
+
+    await notifier.notify(alert);
+
+    expect(slack.send).toHaveBeenCalled();
+    expect(webhook.send).not.toHaveBeenCalled();
+  });
+
+  it('routes with the reloaded config', async () => {
+    const slack = channel('slack');
+    const webhook = channel('webhook');
+    const notifier = new AlertNotifier({ metrics: { alerts: { routing: { critical: ['slack'] } } } }, { channels: [slack, webhook] });
+
+    notifier.reconfigure({ metrics: { alerts: { routing: { critical: ['webhook'] } } } });
+    await notifier.notify(alert);
+
+    expect(webhook.send).toHaveBeenCalled();
+    expect(slack.send).not.toHaveBeenCalled();
+    expect(notifier.channels.size).toBe(2);
+  });
+
+  it('rebuilds the webhook channel from a reloaded metrics.alerts.webhook', () => {
+    const notifier = new AlertNotifier({ metrics: { alerts: {} } });
+    const registered = channel('pager');
+    notifier.registerChannel(registered);
+
+    notifier.reconfigure({ metrics: { alerts: { webhook: 'http://alerts.test/hook' } } });
+
+    expect(notifier.channels.get('webhook').url).toBe('http://alerts.test/hook');
+    expect(notifier.channels.get('pager')).toBe(registered);
+  });
+});
@@ -0,0 +1,122 @@
+const { BufferManager } = require('../../nodes/buffer-manager.js');
+
+// Records the arguments of the Lua commands; each test scripts their replies
+function fakeRedis(replies = {}) {
+  const calls = {};
+  const redis = {
+    calls,
+    defineCommand(name) {
+      calls[name] = [];
+      redis[name] = vi.fn(async (...args) => {
+        calls[name].push(args);
+        return typeof replies[name] === 'function' ? replies[name](...args) : replies[name];
+      });
+    }
+  };
+  return redis;
+}
+
+const stored = messages => messages.map(message => JSON.stringify(message));
+
+describe('BufferManager', () => {
+  describe('append', () => {
+    const appended = () => fakeRedis({ bufferAppend: [1, 40, 0, 'appended'] });
+
+    it('stores numeric ids as strings', async () => {
+      const redis = appended();
+      const manager = new BufferManager({}, { redis, cipher: null });
+
+      const { entry } = await manager.append('c1', { chatId: 'c1', id: 42, text: 'hola' });
+      const [, serialized, , , , , id] = redis.calls.bufferAppend[0];
+
+      expect(entry.id).toBe('42');
+      expect(JSON.parse(serialized).id).toBe('42');
+      expect(id).toBe('42');
+    });
+
+    it('keeps an id of 0 and fills in missing ones', async () => {
+      const manager = new BufferManager({}, { redis: appended(), cipher: null });
+
+      expect((await manager.append('c1', { id: 0, text: 'hola' })).entry.id).toBe('0');
+      expect((await manager.append('c1', { text: 'hola' })).entry.id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('reports duplicates and replacements', async () => {
+      const manager = new BufferManager({}, { redis: fakeRedis({ bufferAppend: [1, 40, 0, 'duplicate'] }), cipher: null });
+
+      await expect(manager.append('c1', { id: 'm1', text: 'hola' })).resolves.toMatchObject({ duplicate: true, replaced: false });
+    });
+  });
+
+  describe('flush', () => {
+    it('passes the expected last id and decodes the entries', async () => {
+      const redis = fakeRedis({ bufferFlush: () => stored([{ id: '42', text: 'hola' }]) });
+      const manager = new BufferManager({}, { redis, cipher: null });
+
+      await expect(manager.flush('c1', '42')).resolves.toEqual([{ id: '42', text: 'hola' }]);
+      expect(redis.calls.bufferFlush[0]).toEqual(['smart-buffer:buffer:c1', '42']);
+    });
+  });
+
+  describe('claim', () => {
+    it('derives the delivery id from the chat and message ids', async () => {
+      const entries = stored([{ id: 'm1', text: 'hola' }, { id: 'm2', text: 'turno' }]);
+      const manager = new BufferManager({}, { redis: fakeRedis({ bufferClaim: () => entries }), cipher: null });
+
+      const first = await manager.claim('c1', 'm2');
+      const again = await manager.claim('c1', 'm2');
+
+      expect(first).toMatchObject({ chatId: 'c1', lastId: 'm2' });
+      expect(first.key).not.toBe(again.key);
+      expect(first.deliveryId).toBe(again.deliveryId);
+    });
+
+    it('gives other messages another delivery id', async () => {
+      let entries = stored([{ id: 'm1', text: 'hola' }]);
+      const manager = new BufferManager({}, { redis: fakeRedis({ bufferClaim: () => entries }), cipher: null });
+
+      const first = await manager.claim('c1');
+      entries = stored([{ id: 'm1', text: 'hola' }, { id: 'm2', text: 'turno' }]);
+      const grown = await manager.claim('c1');
+
+      expect(grown.deliveryId).not.toBe(first.deliveryId);
+    });
+
+    it('reports the last id as a string, as the Lua scripts compare it', async () => {
+      const manager = new BufferManager({}, { redis: fakeRedis({ bufferClaim: () => stored([{ id: 42, text: 'hola' }]) }), cipher: null });
+
+      await expect(manager.claim('c1')).resolves.toMatchObject({ lastId: '42' });
+    });
+
+    it('returns null when superseded or empty', async () => {
+      const manager = new BufferManager({}, { redis: fakeRedis({ bufferClaim: null }), cipher: null });
+
+      await expect(manager.claim('c1', 'm1')).resolves.toBeNull();
+    });
+  });
+
+  describe('reconfigure', () => {
+    it('appends with the reloaded limits and TTL', async () => {
+      const redis = fakeRedis({ bufferAppend: [1, 40, 0, 'appended'] });
+      const manager = new BufferManager({ buffer: { ttl: 300, maxSize: 10 } }, { redis, cipher: null });
+
+      manager.reconfigure({ buffer: { ttl: 120, maxSize: 3, maxSizeKB: 1, slidingTTL: false } });
+      await manager.append('c1', { id: 'm1', text: 'hola' });
+      const [, , maxSize, maxBytes, ttl, sliding] = redis.calls.bufferAppend[0];
+
+      expect([maxSize, maxBytes, ttl, sliding]).toEqual([3, 1024, 120, '0']);
+    });
+
+    it('restarts a running cleanup timer when its interval changes', () => {
+      const manager = new BufferManager({ buffer: { cleanupInterval: 60 } }, { redis: fakeRedis(), cipher: null });
+      manager.start();
+      const timer = manager.cleanupTimer;
+
+      manager.reconfigure({ buffer: { cleanupInterval: 30 } });
+
+      expect(manager.cleanupTimer).not.toBe(timer);
+      expect(manager.cleanupInterval).toBe(30);
+      manager.stop();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const { BufferService } = require('../../nodes/buffer-service.js');
+const { CircuitBreaker } = require('../../nodes/circuit-breaker.js');
+const { MLClient } = require('../../nodes/ml-client.js');
+const medicalConfig = require('../../medical_config.js');
+
+const mlConfig = {
+  ...medicalConfig,
+  ml: { ...medicalConfig.ml, enabled: true, endpoints: { intent: 'http://ml.test/intent' } }
+};
+
+function fakeBuffer() {
+  return {
+    breaker: new CircuitBreaker('redis'),
+    ack: vi.fn(async () => {}),
+    release: vi.fn(async () => 1)
+  };
+}
+
+function claimOf(chatId) {
+  return { messages: [{ id: 'm1', text: 'hola' }], key: 'claim:1', chatId, lastId: 'm1', deliveryId: 'd-1' };
+}
+
+describe('BufferService dispatch', () => {
+  let buffer;
+  let callback;
+  let service;
+
+  beforeEach(() => {
+    buffer = fakeBuffer();
+    callback = { maxBackoff: 1000, deliver: vi.fn() };
+    service = new BufferService(undefined, { buffer, callback });
+  });
+
+  afterEach(() => {
+    Array.from(service.timers.keys()).forEach(chatId => service.cancel(chatId));
+  });
+
+  const dispatch = claim => service.dispatch(claim.chatId, async () => ({ payload: { ready_for_ai: true }, claim }));
+
+  it('sends the claim delivery id and acknowledges a delivered buffer', async () => {
+    callback.deliver.mockResolvedValue({ delivered: true, attempts: 1, status: 200, deliveryId: 'd-1' });
+    const claim = claimOf('c1');
+
+    await dispatch(claim);
+
+    expect(callback.deliver).toHaveBeenCalledWith({ ready_for_ai: true }, { deliveryId: 'd-1' });
+    expect(buffer.ack).toHaveBeenCalledWith(claim);
+    expect(buffer.release).not.toHaveBeenCalled();
+  });
+
+  it('records the response time of a delivered buffer', async () => {
+    const metrics = { recordDelivery: vi.fn(), recordResponseTime: vi.fn() };
+    service = new BufferService(undefined, { buffer, callback, metrics });
+    callback.deliver.mockResolvedValue({ delivered: true, attempts: 1, status: 200 });
+
+    await service.dispatch('c1', async () => ({ payload: { ready_for_ai: true, first_timestamp: 1000 }, claim: claimOf('c1') }));
+
+    expect(metrics.recordResponseTime).toHaveBeenCalledWith(1000);
+  });
+
+  it('puts the buffer back and retries after a retryable failure', async () => {
+    callback.deliver.mockResolvedValue({ delivered: false, attempts: 4, status: 503, error: 'HTTP 503', retryable: true });
+    const claim = claimOf('c1');
+
+    await dispatch(claim);
+
+    expect(buffer.release).toHaveBeenCalledWith(claim);
+    expect(buffer.ack).not.toHaveBeenCalled();
+    expect(service.timers.get('c1')).toMatchObject({ lastId: 'm1' });
+  });
+
+  it('drops a buffer the callback rejected instead of retrying it', async () => {
+    callback.deliver.mockResolvedValue({ delivered: false, attempts: 1, status: 422, error: 'HTTP 422', retryable: false });
+    const claim = claimOf('c1');
+
+    await dispatch(claim);
+
+    expect(buffer.ack).toHaveBeenCalledWith(claim);
+    expect(buffer.release).not.toHaveBeenCalled();
+    expect(service.timers.has('c1')).toBe(false);
+  });
+});
+
+describe('BufferService receive', () => {
+  it('tells the rate limiter when a message was accepted', async () => {
+    const buffer = {
+      ...fakeBuffer(),
+      read: vi.fn(async () => []),
+      append: vi.fn(async (chatId, message) => ({ entry: { ...message, type: 'text' }, duplicate: false, replaced: false }))
+    };
+    const rateLimiter = {
+      consume: vi.fn(async () => ({ allowed: true, token: 't-1' })),
+      succeeded: vi.fn(async () => {})
+    };
+    const service = new BufferService(undefined, { buffer, rateLimiter, callback: { deliver: vi.fn() } });
+
+    await service.receive({ id: 'm1', chatId: 'c1', text: 'quiero' });
+    Array.from(service.timers.keys()).forEach(chatId => service.cancel(chatId));
+
+    expect(rateLimiter.succeeded).toHaveBeenCalledWith('c1', 't-1');
+  });
+
+  it('stops a rate-limited message before buffering it', async () => {
+    const buffer = { ...fakeBuffer(), read: vi.fn(), append: vi.fn() };
+    const rateLimiter = {
+      consume: vi.fn(async () => ({ allowed: false, limit: 3, remaining: 0, retryAfterMs: 1000 })),
+      decision: vi.fn(() => ({ decision: 'rate_limited' })),
+      succeeded: vi.fn()
+    };
+    const service = new BufferService(undefined, { buffer, rateLimiter, callback: { deliver: vi.fn() } });
+
+    await expect(service.receive({ id: 'm1', chatId: 'c1', text: 'hola' })).resolves.toMatchObject({ decision: 'rate_limited', chatId: 'c1' });
+    expect(buffer.append).not.toHaveBeenCalled();
+    expect(rateLimiter.succeeded).not.toHaveBeenCalled();
+  });
+
+  it('decides on the ML analysis when ml is enabled', async () => {
+    const buffer = {
+      ...fakeBuffer(),
+      read: vi.fn(async () => []),
+      append: vi.fn(async (chatId, message) => ({ entry: { ...message, type: 'text' }, duplicate: false, replaced: false }))
+    };
+    const ml = new MLClient(mlConfig, { env: {} });
+    vi.spyOn(ml, 'call').mockResolvedValue({ intent: 'cancellation', confidence: 0.95 });
+    const service = new BufferService(mlConfig, { buffer, ml, callback: { deliver: vi.fn() } });
+
+    const decide = vi.spyOn(service.orchestrator, 'decide');
+
+    await service.receive({ id: 'm1', chatId: 'c1', text: 'no voy a poder ir' });
+    Array.from(service.timers.keys()).forEach(chatId => service.cancel(chatId));
+
+    expect(ml.call).toHaveBeenCalledWith('intent', 'no voy a poder ir');
+    expect(decide.mock.calls[0][0]).toMatchObject({ intent: 'cancellation', analysis_source: { intent: 'ml' } });
+  });
+});
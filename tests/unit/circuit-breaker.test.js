@@ -0,0 +1,116 @@
+const { CircuitBreaker, CircuitOpenError } = require('../../nodes/circuit-breaker.js');
+
+const fail = () => Promise.reject(new Error('ECONNREFUSED'));
+const succeed = () => Promise.resolve('ok');
+
+async function tripped(breaker, times) {
+  for (let i = 0; i < times; i++) {
+    await expect(breaker.execute(fail)).rejects.toThrow('ECONNREFUSED');
+  }
+}
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('opens after threshold consecutive failures', async () => {
+    const breaker = new CircuitBreaker('redis', { threshold: 3 });
+    const opened = vi.fn();
+    breaker.on('open', opened);
+
+    await tripped(breaker, 2);
+    expect(breaker.state).toBe('closed');
+
+    await tripped(breaker, 1);
+    expect(breaker.state).toBe('open');
+    expect(opened).toHaveBeenCalledTimes(1);
+  });
+
+  it('only counts consecutive failures', async () => {
+    const breaker = new CircuitBreaker('redis', { threshold: 2 });
+
+    await tripped(breaker, 1);
+    await breaker.execute(succeed);
+    await tripped(breaker, 1);
+
+    expect(breaker.failures).toBe(1);
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('forgets failures older than resetTimeout', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('redis', { threshold: 2, resetTimeout: 1000 });
+
+    await tripped(breaker, 1);
+    vi.advanceTimersByTime(1001);
+    await tripped(breaker, 1);
+
+    expect(breaker.failures).toBe(1);
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('rejects calls while open without running them', async () => {
+    const breaker = new CircuitBreaker('redis', { threshold: 1 });
+    const fn = vi.fn(succeed);
+
+    await tripped(breaker, 1);
+    const error = await breaker.execute(fn).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.code).toBe('CIRCUIT_OPEN');
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('closes after a successful half-open trial', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('redis', { threshold: 1, timeout: 500 });
+    const changes = [];
+    breaker.on('stateChange', change => changes.push(`${change.from}>${change.to}`));
+
+    await tripped(breaker, 1);
+    vi.advanceTimersByTime(500);
+    expect(breaker.state).toBe('half_open');
+
+    await expect(breaker.execute(succeed)).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+    expect(changes).toEqual(['closed>open', 'open>half_open', 'half_open>closed']);
+  });
+
+  it('reopens when the half-open trial fails', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('redis', { threshold: 3, timeout: 500 });
+
+    await tripped(breaker, 3);
+    vi.advanceTimersByTime(500);
+    await tripped(breaker, 1);
+
+    expect(breaker.state).toBe('open');
+  });
+
+  it('allows a single trial call while half-open', async () => {
+    vi.useFakeTimers();
+    const breaker = new CircuitBreaker('redis', { threshold: 1, timeout: 500 });
+    let finish;
+
+    await tripped(breaker, 1);
+    vi.advanceTimersByTime(500);
+
+    const trial = breaker.execute(() => new Promise(resolve => { finish = resolve; }));
+    await expect(breaker.execute(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finish('done');
+    await expect(trial).resolves.toBe('done');
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('reset() closes the circuit and clears failures', async () => {
+    const breaker = new CircuitBreaker('redis', { threshold: 1 });
+
+    await tripped(breaker, 1);
+    breaker.reset();
+
+    expect(breaker.toJSON()).toMatchObject({ name: 'redis', state: 'closed', failures: 0 });
+  });
+});
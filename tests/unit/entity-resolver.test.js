@@ -0,0 +1,123 @@
+const { EntityResolver, zonedISO } = require('../../nodes/entity-resolver.js');
+const { getConfig } = require('../../nodes/config-loader.js');
+
+// Wednesday 2026-01-14, 12:00 in Buenos Aires
+const NOW = Date.UTC(2026, 0, 14, 15, 0);
+
+describe('EntityResolver', () => {
+  const config = getConfig();
+  const entities = config.semantic.patterns.entities;
+  const resolver = new EntityResolver(config);
+  const resolve = text => resolver.resolve(text, { entities, locale: 'es', now: NOW });
+  const find = (resolved, type) => resolved.find(entity => entity.type === type);
+
+  describe('normalizePhone', () => {
+    it('adds the country code to a national number', () => {
+      expect(resolver.normalizePhone('11 5555-1234')).toEqual({
+        value: '+541155551234',
+        national: '1155551234',
+        mobile: false,
+        explicit: false
+      });
+    });
+
+    it('reads the mobile prefix of an international number', () => {
+      expect(resolver.normalizePhone('+54 9 11 5555-1234')).toMatchObject({ value: '+5491155551234', national: '1155551234', mobile: true });
+    });
+
+    it('drops the trunk 0 and the local 15 mobile prefix', () => {
+      expect(resolver.normalizePhone('0351 15 555-1234')).toMatchObject({ value: '+5493515551234', national: '3515551234', mobile: true });
+    });
+
+    it('rejects numbers too short to be a phone', () => {
+      expect(resolver.normalizePhone('123')).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    it('resolves relative dates and times into a datetime in the clinic timezone', () => {
+      const resolved = resolve('mañana a las 5');
+
+      expect(find(resolved, 'date').value).toBe('2026-01-15');
+      // Hours before assumePmBefore are read as afternoon
+      expect(find(resolved, 'time').value).toBe('17:00');
+      expect(find(resolved, 'datetime').value).toBe('2026-01-15T17:00:00-03:00');
+    });
+
+    it('resolves a weekday to its next occurrence', () => {
+      expect(find(resolve('el lunes a las 10:30'), 'datetime').value).toBe('2026-01-19T10:30:00-03:00');
+    });
+
+    it('skips calendar dates that do not exist', () => {
+      const dates = resolve('el 30/02 o el 10/03').filter(entity => entity.type === 'date');
+
+      expect(dates.map(date => date.value)).toEqual(['2026-03-10']);
+    });
+
+    it('tells a DNI from a phone and canonicalizes both', () => {
+      const resolved = resolve('mi dni es 30.123.456 y mi cel 11 5555-1234');
+
+      expect(find(resolved, 'dni')).toMatchObject({ value: '30123456', valid: true });
+      expect(find(resolved, 'phone')).toMatchObject({ value: '+541155551234', valid: true });
+    });
+
+    it('reads a phone cue followed by a preposition', () => {
+      const resolved = resolve('llamame al 45678901');
+
+      expect(resolved.map(entity => entity.type)).toEqual(['phone']);
+      expect(find(resolved, 'phone').value).toBe('+541145678901');
+    });
+
+    it('reads a DNI cue followed by filler words', () => {
+      expect(resolve('mi dni es el 45678901').map(entity => entity.type)).toEqual(['dni']);
+    });
+
+    it('reads "mañana de mañana" as tomorrow morning', () => {
+      const resolved = resolve('mañana de mañana');
+
+      expect(resolved.filter(entity => entity.type === 'date').map(date => date.value)).toEqual(['2026-01-15']);
+      expect(find(resolved, 'period')).toMatchObject({ text: 'de mañana', value: 'morning' });
+    });
+
+    it('reads "mañana por la mañana" as tomorrow morning', () => {
+      const resolved = resolve('mañana por la mañana');
+
+      expect(find(resolved, 'date').value).toBe('2026-01-15');
+      expect(find(resolved, 'period')).toMatchObject({ text: 'por la mañana', value: 'morning' });
+    });
+
+    it('keeps "de mañana" as a date when no date comes before it', () => {
+      const resolved = resolve('el turno de mañana');
+
+      expect(find(resolved, 'date').value).toBe('2026-01-15');
+      expect(find(resolved, 'period')).toBeUndefined();
+    });
+
+    it('applies a period said before or after the hour', () => {
+      expect(find(resolve('hoy por la noche a las 10'), 'datetime').value).toBe('2026-01-14T22:00:00-03:00');
+      expect(find(resolve('a las 5 de tarde'), 'time').value).toBe('17:00');
+      expect(find(resolve('mañana a las 9 de mañana'), 'time').value).toBe('09:00');
+    });
+
+    it('returns entities sorted by position with spans into the text', () => {
+      const text = 'tengo osde, mi dni es 30.123.456';
+      const resolved = resolve(text);
+
+      expect(resolved.map(entity => entity.type)).toEqual(['insurance', 'dni']);
+      resolved.forEach(entity => {
+        expect(text.slice(entity.start, entity.end)).toBe(entity.text);
+      });
+    });
+  });
+
+  it('applies the timezone offset in effect on that date', () => {
+    expect(zonedISO('2026-07-01', '09:00', 'Europe/Madrid')).toBe('2026-07-01T09:00:00+02:00');
+    expect(zonedISO('2026-01-15', '09:00', 'Europe/Madrid')).toBe('2026-01-15T09:00:00+01:00');
+  });
+
+  it('refuses an unknown timezone', () => {
+    const config = { semantic: { resolution: { timezone: 'Mars/Olympus_Mons' } } };
+
+    expect(() => new EntityResolver(config)).toThrow("Unknown timezone 'Mars/Olympus_Mons'");
+  });
+});
@@ -0,0 +1,131 @@
+const { FlushCallback, sign, verifySignature, SIGNATURE_HEADER, DELIVERY_HEADER } = require('../../nodes/flush-callback.js');
+
+const SECRET = 'shh';
+const config = { service: { callback: { url: 'https://n8n.example.com/webhook/flush', retries: 2, backoff: 100, maxBackoff: 150 } } };
+
+function httpError(status) {
+  const error = new Error(status ? `HTTP ${status}` : 'socket hang up');
+  error.status = status;
+  return error;
+}
+
+function callback(responses, env = { CALLBACK_SECRET: SECRET }) {
+  const post = vi.fn(async () => {
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return { status: next };
+  });
+  const sleep = vi.fn(async () => {});
+
+  return { flush: new FlushCallback(config, { env, post, sleep }), post, sleep };
+}
+
+describe('flush callback signatures', () => {
+  const body = JSON.stringify({ chatId: 'c1', final_text: 'hola' });
+  const now = 1700000000000;
+
+  it('signs the timestamp and body', () => {
+    expect(sign(body, SECRET, now)).toMatch(/^t=1700000000000,v1=[0-9a-f]{64}$/);
+  });
+
+  it('verifies its own signature', () => {
+    expect(verifySignature(body, sign(body, SECRET, now), SECRET, { now })).toBe(true);
+  });
+
+  it('rejects a tampered body or another secret', () => {
+    const header = sign(body, SECRET, now);
+
+    expect(verifySignature(`${body} `, header, SECRET, { now })).toBe(false);
+    expect(verifySignature(body, header, 'other', { now })).toBe(false);
+  });
+
+  it('rejects signatures outside the tolerance', () => {
+    const header = sign(body, SECRET, now);
+
+    expect(verifySignature(body, header, SECRET, { now: now + 5 * 60 * 1000 + 1 })).toBe(false);
+    expect(verifySignature(body, header, SECRET, { now: now + 1000, tolerance: 500 })).toBe(false);
+  });
+
+  it('rejects missing or malformed headers', () => {
+    expect(verifySignature(body, undefined, SECRET, { now })).toBe(false);
+    expect(verifySignature(body, 't=abc,v1=00', SECRET, { now })).toBe(false);
+    expect(verifySignature(body, `t=${now}`, SECRET, { now })).toBe(false);
+  });
+});
+
+describe('FlushCallback', () => {
+  const payload = { chatId: 'c1', final_text: 'hola' };
+
+  it('posts the payload signed, with a delivery id', async () => {
+    const { flush, post } = callback([200]);
+
+    const result = await flush.deliver(payload);
+    const [url, body, options] = post.mock.calls[0];
+
+    expect(result).toMatchObject({ delivered: true, attempts: 1, status: 200 });
+    expect(url).toBe(config.service.callback.url);
+    expect(JSON.parse(body)).toEqual(payload);
+    expect(options.headers[DELIVERY_HEADER]).toBe(result.deliveryId);
+    expect(verifySignature(body, options.headers[SIGNATURE_HEADER], SECRET)).toBe(true);
+  });
+
+  it('sends no signature without a secret', async () => {
+    const { flush, post } = callback([200], {});
+
+    await flush.deliver(payload);
+
+    expect(post.mock.calls[0][2].headers[SIGNATURE_HEADER]).toBeUndefined();
+  });
+
+  it('retries 5xx, 429 and network errors with capped backoff under one delivery id', async () => {
+    const { flush, post, sleep } = callback([httpError(503), httpError(429), 204]);
+
+    const result = await flush.deliver(payload);
+    const ids = post.mock.calls.map(([, , options]) => options.headers[DELIVERY_HEADER]);
+
+    expect(result).toMatchObject({ delivered: true, attempts: 3, status: 204 });
+    expect(new Set(ids).size).toBe(1);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 150]);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const { flush, post } = callback([httpError(), httpError(), httpError()]);
+
+    const result = await flush.deliver(payload);
+
+    expect(result).toMatchObject({ delivered: false, attempts: 3, error: 'socket hang up' });
+    expect(post).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry a payload the receiver rejected', async () => {
+    const { flush, post } = callback([httpError(422), 200]);
+
+    const result = await flush.deliver(payload);
+
+    expect(result).toMatchObject({ delivered: false, attempts: 1, status: 422, retryable: false });
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports exhausted retries as retryable', async () => {
+    const { flush } = callback([httpError(503), httpError(503), httpError(503)]);
+
+    await expect(flush.deliver(payload)).resolves.toMatchObject({ delivered: false, retryable: true });
+  });
+
+  it('sends the delivery id it is given', async () => {
+    const { flush, post } = callback([200]);
+
+    const result = await flush.deliver(payload, { deliveryId: 'claim-1' });
+
+    expect(result.deliveryId).toBe('claim-1');
+    expect(post.mock.calls[0][2].headers[DELIVERY_HEADER]).toBe('claim-1');
+  });
+
+  it('throws without a callback URL', async () => {
+    const flush = new FlushCallback({ service: {} }, { env: {} });
+
+    await expect(flush.deliver(payload)).rejects.toThrow('No callback URL configured');
+  });
+});
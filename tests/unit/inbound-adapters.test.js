@@ -0,0 +1,118 @@
+const { InboundAdapters } = require('../../nodes/inbound-adapters.js');
+
+const cloudBody = messages => ({
+  object: 'whatsapp_business_account',
+  entry: [{ changes: [{ value: { messages } }] }]
+});
+
+const telegramBody = (key, text) => ({
+  update_id: 1,
+  [key]: { message_id: 7, chat: { id: 42 }, from: { id: 42, first_name: 'Ana' }, date: 1700000000, text }
+});
+
+describe('InboundAdapters', () => {
+  const inbound = new InboundAdapters();
+
+  it('normalizes WhatsApp Cloud API messages', () => {
+    const [message] = inbound.normalize(cloudBody([
+      { id: 'wamid.1', from: '5491155551234', timestamp: '1700000000', type: 'text', text: { body: 'hola' } }
+    ]));
+
+    expect(message).toMatchObject({
+      id: 'wamid.1',
+      chatId: '5491155551234',
+      timestamp: 1700000000000,
+      type: 'text',
+      text: 'hola',
+      provider: 'whatsapp_cloud'
+    });
+  });
+
+  it('normalizes Telegram messages with a chat-scoped id', () => {
+    const [message] = inbound.normalize(telegramBody('message', 'hola'));
+
+    expect(message).toMatchObject({ id: '42:7', chatId: '42', text: 'hola', type: 'text', provider: 'telegram' });
+    expect(message.edited).toBeUndefined();
+  });
+
+  it('marks Telegram edits so they replace the original', () => {
+    const [message] = inbound.normalize(telegramBody('edited_message', 'hola!'));
+
+    expect(message).toMatchObject({ id: '42:7', text: 'hola!', edited: true });
+  });
+
+  it('normalizes Twilio form posts, one message per media item', () => {
+    const messages = inbound.normalize({
+      AccountSid: 'AC1',
+      MessageSid: 'SM1',
+      From: 'whatsapp:+5491155551234',
+      Body: 'mirá',
+      NumMedia: '2',
+      MediaUrl0: 'https://example.com/a.jpg',
+      MediaContentType0: 'image/jpeg',
+      MediaUrl1: 'https://example.com/b.pdf',
+      MediaContentType1: 'application/pdf'
+    });
+
+    expect(messages.map(message => [message.id, message.type, message.text])).toEqual([
+      ['SM1', 'image', 'mirá'],
+      ['SM1:1', 'document', '']
+    ]);
+    expect(messages[0].provider).toBe('twilio');
+  });
+
+  it('accepts bodies already in the canonical shape', () => {
+    const [message] = inbound.normalize({ chat_id: 'c1', text: 'hola', timestamp: 1 });
+
+    expect(message).toMatchObject({ chatId: 'c1', text: 'hola', provider: 'canonical' });
+  });
+
+  it('rejects messages without a chat id and keeps the rest of the batch', () => {
+    const { messages, rejected } = inbound.parse(cloudBody([
+      { id: 'a', from: '549111', timestamp: '1', type: 'text', text: { body: 'hola' } },
+      { id: 'b', timestamp: '2', type: 'text', text: { body: 'sin remitente' } }
+    ]));
+
+    expect(messages.map(message => message.id)).toEqual(['a']);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0]).toMatchObject({ status: 400, code: 'MISSING_CHAT_ID', messageId: 'b' });
+  });
+
+  it('throws from normalize() only when nothing was accepted', () => {
+    const body = cloudBody([{ id: 'b', timestamp: '2', type: 'text', text: { body: 'sin remitente' } }]);
+
+    expect(() => inbound.normalize(body)).toThrow(expect.objectContaining({ code: 'MISSING_CHAT_ID', status: 400 }));
+  });
+
+  it('refuses unrecognized payloads', () => {
+    expect(() => inbound.normalize({ foo: 1 })).toThrow(expect.objectContaining({ code: 'UNKNOWN_PAYLOAD', status: 400 }));
+  });
+
+  it('skips detection when the provider is given', () => {
+    const [message] = inbound.normalize({ chatId: 'c1', text: 'hola' }, { provider: 'canonical' });
+
+    expect(message.provider).toBe('canonical');
+    expect(() => inbound.normalize({}, { provider: 'nope' })).toThrow(expect.objectContaining({ code: 'UNKNOWN_PAYLOAD' }));
+  });
+
+  it('tries registered adapters first', () => {
+    const custom = new InboundAdapters(undefined, {
+      adapters: [{
+        name: 'custom',
+        detect: body => body.kind === 'custom',
+        normalize: body => [{ id: body.ref, chatId: body.user, text: body.says }]
+      }]
+    });
+
+    expect(custom.normalize({ kind: 'custom', ref: 'r1', user: 'u1', says: 'hola', text: 'x' })).toEqual([
+      expect.objectContaining({ id: 'r1', chatId: 'u1', text: 'hola', provider: 'custom' })
+    ]);
+  });
+
+  it('limits detection to the configured providers', () => {
+    const telegramOnly = new InboundAdapters({ inbound: { providers: ['telegram'] } });
+
+    expect(() => telegramOnly.normalize({ chatId: 'c1', text: 'hola' })).toThrow(expect.objectContaining({ code: 'UNKNOWN_PAYLOAD' }));
+    expect(() => new InboundAdapters({ inbound: { providers: ['fax'] } })).toThrow("Unknown inbound provider 'fax'");
+  });
+});
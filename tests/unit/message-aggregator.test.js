@@ -0,0 +1,77 @@
+const { MessageAggregator } = require('../../nodes/message-aggregator.js');
+
+describe('MessageAggregator', () => {
+  const aggregator = new MessageAggregator();
+
+  describe('isDuplicate', () => {
+    it('matches identical texts', () => {
+      expect(aggregator.isDuplicate('hola', 'hola', 'es')).toBe(true);
+    });
+
+    it('matches a resend with a typo', () => {
+      expect(aggregator.isDuplicate('hola necesito turno', 'hola necesito turnp', 'es')).toBe(true);
+    });
+
+    it('never matches texts whose digits differ', () => {
+      expect(aggregator.isDuplicate('mi dni es 123', 'mi dni es 124', 'es')).toBe(false);
+    });
+
+    it('never matches different short texts', () => {
+      expect(aggregator.isDuplicate('si', 'no', 'es')).toBe(false);
+    });
+  });
+
+  describe('join', () => {
+    it('attaches leading punctuation without a space', () => {
+      expect(aggregator.join('hola', false, '?', true)).toEqual({ separator: '', text: '?' });
+    });
+
+    it('keeps a fragment after a sentence that already ends in punctuation', () => {
+      expect(aggregator.join('Hola.', true, 'Quiero', false)).toEqual({ separator: ' ', text: 'Quiero' });
+    });
+
+    it('lowercases a capitalized common word that continues the sentence', () => {
+      expect(aggregator.join('Necesito un turno', true, 'Para mañana', false)).toEqual({ separator: ' ', text: 'para mañana' });
+    });
+
+    it('starts a new sentence after a complete message', () => {
+      expect(aggregator.join('Necesito un turno', true, 'Juan llama', true)).toEqual({ separator: '. ', text: 'Juan llama' });
+    });
+  });
+
+  describe('aggregate', () => {
+    it('orders fragments by timestamp', () => {
+      const payload = aggregator.aggregate([
+        { id: 'b', timestamp: 2, text: 'segundo' },
+        { id: 'a', timestamp: 1, text: 'primero' }
+      ], { chatId: 'chat' });
+
+      expect(payload.final_text).toBe('primero segundo');
+      expect(payload.chatId).toBe('chat');
+    });
+
+    it('drops resent fragments and reports them', () => {
+      const payload = aggregator.aggregate([
+        { id: '1', timestamp: 1, text: 'hola necesito un turno' },
+        { id: '2', timestamp: 2, text: 'Para mañana' },
+        { id: '3', timestamp: 3, text: 'hola necesito un turno' },
+        { id: '4', timestamp: 4, text: '?' }
+      ], { chatId: 'chat' });
+
+      expect(payload.final_text).toBe('hola necesito un turno para mañana?');
+      expect(payload.duplicates).toEqual([{ id: '3', timestamp: 3, duplicate_of: '1' }]);
+      expect(payload.message_count).toBe(3);
+    });
+
+    it('maps each fragment to its span in final_text', () => {
+      const payload = aggregator.aggregate([
+        { id: '1', timestamp: 1, text: 'hola necesito un turno' },
+        { id: '2', timestamp: 2, text: 'Para mañana' }
+      ], { chatId: 'chat' });
+
+      payload.fragments.forEach(fragment => {
+        expect(payload.final_text.slice(fragment.start, fragment.end).toLowerCase()).toBe(fragment.text.toLowerCase());
+      });
+    });
+  });
+});
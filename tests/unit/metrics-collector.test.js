@@ -0,0 +1,44 @@
+const { MetricsCollector } = require('../../nodes/metrics-collector.js');
+const { SmartOrchestrator } = require('../../nodes/smart-orchestrator.js');
+const { MessageAggregator } = require('../../nodes/message-aggregator.js');
+const { PrometheusExporter } = require('../../nodes/prometheus-exporter.js');
+
+function collector() {
+  const exporter = new PrometheusExporter();
+  const metrics = new MetricsCollector(undefined, { redis: { defineCommand() {} }, exporter });
+  vi.spyOn(metrics, 'record').mockResolvedValue(true);
+  vi.spyOn(exporter, 'observe');
+  return { metrics, exporter };
+}
+
+describe('response time', () => {
+  it('is not recorded when a decision is made', () => {
+    const { metrics, exporter } = collector();
+
+    metrics.recordDecision({ decision: 'process_immediately', reason: 'Complete message' });
+
+    expect(metrics.record).not.toHaveBeenCalledWith('response_time', expect.anything());
+    expect(exporter.observe).not.toHaveBeenCalledWith('response_time_seconds', expect.anything());
+  });
+
+  it('runs from the first buffered message', () => {
+    const { metrics, exporter } = collector();
+
+    metrics.recordResponseTime(1000, 4000);
+
+    expect(metrics.record).toHaveBeenCalledWith('response_time', 3000);
+    expect(exporter.observe).toHaveBeenCalledWith('response_time_seconds', 3);
+  });
+
+  it('is recorded when a buffer that waited is flushed', async () => {
+    const { metrics } = collector();
+    const buffer = { flush: vi.fn(async () => [{ id: 'm1', timestamp: Date.now() - 5000, text: 'necesito un turno' }]) };
+    const orchestrator = new SmartOrchestrator(undefined, { buffer, aggregator: new MessageAggregator(), metrics });
+    vi.spyOn(metrics, 'recordResponseTime');
+
+    await orchestrator.flush('c1', 'm1');
+
+    const [[firstTimestamp]] = metrics.recordResponseTime.mock.calls;
+    expect(Date.now() - firstTimestamp).toBeGreaterThanOrEqual(5000);
+  });
+});
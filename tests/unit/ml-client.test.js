@@ -0,0 +1,95 @@
+const { MLClient } = require('../../nodes/ml-client.js');
+const { SemanticAnalyzer } = require('../../nodes/semantic-analyzer.js');
+const medicalConfig = require('../../medical_config.js');
+
+const mlConfig = {
+  ...medicalConfig,
+  ml: {
+    ...medicalConfig.ml,
+    enabled: true,
+    endpoints: { intent: 'http://ml.test/intent', entity: null, sentiment: null }
+  }
+};
+
+describe('MLClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new MLClient(mlConfig, { env: {} });
+  });
+
+  it('takes a confident ML intent over the regex one', async () => {
+    vi.spyOn(client, 'call').mockResolvedValue({ intent: 'cancellation', confidence: 0.95 });
+
+    const analysis = await client.analyze({ original_text: 'no voy a poder ir', intent: 'general', entities: {} });
+
+    expect(analysis.intent).toBe('cancellation');
+    expect(analysis.analysis_source.intent).toBe('ml');
+  });
+
+  it('keeps the regex intent when the ML call times out', async () => {
+    vi.spyOn(client, 'call').mockRejectedValue(new Error('Request to ml.test timed out after 2000ms'));
+
+    const analysis = await client.analyze({ original_text: 'quiero un turno', intent: 'appointment', entities: {} });
+
+    expect(analysis.intent).toBe('appointment');
+    expect(analysis.analysis_source.intent).toBe('regex');
+    expect(analysis.ml.fallback_used).toBe(true);
+    expect(analysis.ml.errors.intent).toMatch(/timed out/);
+  });
+
+  it('picks up ml settings on reconfigure', () => {
+    client.reconfigure({ ...mlConfig, ml: { ...mlConfig.ml, enabled: false } });
+
+    expect(client.enabled).toBe(false);
+  });
+});
+
+describe('SemanticAnalyzer#analyzeWithML', () => {
+  it('returns the regex analysis when ml is disabled', async () => {
+    const ml = new MLClient(medicalConfig, { env: {} });
+    const call = vi.spyOn(ml, 'call');
+    const analyzer = new SemanticAnalyzer(medicalConfig, { ml });
+
+    const analysis = await analyzer.analyzeWithML('quiero un turno');
+
+    expect(analysis.intent).toBe('appointment');
+    expect(call).not.toHaveBeenCalled();
+  });
+
+  it('blends the ML result into the analysis', async () => {
+    const ml = new MLClient(mlConfig, { env: {} });
+    vi.spyOn(ml, 'call').mockResolvedValue({ intent: 'medical_query', confidence: 0.9 });
+    const analyzer = new SemanticAnalyzer(mlConfig, { ml });
+
+    const analysis = await analyzer.analyzeWithML({ chatId: 'c1', text: 'me siento mal' });
+
+    expect(analysis.intent).toBe('medical_query');
+    expect(analysis.analysis_source.intent).toBe('ml');
+  });
+
+  it('falls back to the regex analysis when the ML client throws', async () => {
+    const config = { ...mlConfig, ml: { ...mlConfig.ml, fallbackToRegex: false } };
+    const ml = new MLClient(config, { env: {} });
+    vi.spyOn(ml, 'call').mockRejectedValue(new Error('Request to ml.test timed out after 2000ms'));
+    const logger = { debug: vi.fn(), warn: vi.fn() };
+    const analyzer = new SemanticAnalyzer(config, { ml, logger });
+
+    const analysis = await analyzer.analyzeWithML({ chatId: 'c1', text: 'quiero un turno' });
+
+    expect(analysis.intent).toBe('appointment');
+    expect(analysis.analysis_source.intent).toBe('regex');
+    expect(analysis.ml.fallback_used).toBe(true);
+    expect(analysis.ml.errors.analysis).toMatch(/timed out/);
+    expect(logger.warn).toHaveBeenCalledWith('semantic', expect.any(String), expect.objectContaining({ chatId: 'c1' }));
+  });
+
+  it('reconfigures its ML client with the analyzer', () => {
+    const ml = new MLClient(medicalConfig, { env: {} });
+    const analyzer = new SemanticAnalyzer(medicalConfig, { ml });
+
+    analyzer.reconfigure(mlConfig);
+
+    expect(ml.enabled).toBe(true);
+  });
+});
@@ -0,0 +1,41 @@
+const { PIIRedactor } = require('../../nodes/pii-redactor.js');
+const medicalConfig = require('../../medical_config.js');
+
+describe('PIIRedactor', () => {
+  const redactor = new PIIRedactor(medicalConfig, { secret: 'test-secret' });
+
+  it('masks and hashes entity matches in text', () => {
+    const text = redactor.redact('tengo 45 años y mi dni es 30.123.456');
+
+    expect(text).toMatch(/^tengo \[age\] y mi dni es \[dni:[0-9a-f]{12}\]$/);
+  });
+
+  it('redacts resolved entities by type, numbers included', () => {
+    const [age, dni] = redactor.redact([
+      { type: 'age', text: '45 años', value: 45, start: 6, end: 13, confidence: 0.9 },
+      { type: 'dni', text: '30.123.456', value: '30123456', start: 26, end: 36, confidence: 0.9, valid: true }
+    ]);
+
+    expect(age).toEqual({ type: 'age', text: '[age]', value: '[age]', start: 6, end: 13, confidence: 0.9 });
+    expect(dni.value).toBe(dni.text);
+    expect(dni.value).toMatch(/^\[dni:[0-9a-f]{12}\]$/);
+    expect(dni.valid).toBe(true);
+  });
+
+  it('redacts fields named after an entity', () => {
+    expect(redactor.redact({ entities: { age: [45], insurance: ['osde'] } })).toEqual({ entities: { age: ['[age]'], insurance: ['[insurance]'] } });
+  });
+
+  it('leaves kept entities, other numbers and ids alone', () => {
+    const entity = { type: 'date', text: 'mañana', value: '2026-01-15' };
+
+    expect(redactor.redact(entity)).toEqual(entity);
+    expect(redactor.redact({ id: '30123456', count: 45 })).toEqual({ id: '30123456', count: 45 });
+  });
+
+  it('hashes chat ids on their national number', () => {
+    const redacted = redactor.redact({ chatId: '5491155551234@c.us' });
+
+    expect(redacted.chatId).toBe(redactor.chatToken('11 5555-1234'));
+  });
+});
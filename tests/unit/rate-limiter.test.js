@@ -0,0 +1,59 @@
+const { RateLimiter } = require('../../nodes/rate-limiter.js');
+const { loadConfig } = require('../../nodes/config-loader.js');
+
+function fakeRedis(reply = [1, 1, 0]) {
+  return {
+    defineCommand(name) {
+      this[name] = vi.fn(async () => reply);
+    },
+    zrem: vi.fn(async () => 1)
+  };
+}
+
+const settings = rateLimiting => ({ security: { rateLimiting } });
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_ENABLED;
+  });
+
+  it('takes RATE_LIMIT_* from the loaded config', () => {
+    const { config } = loadConfig({ env: { RATE_LIMIT_ENABLED: '1', RATE_LIMIT_MAX_REQUESTS: '5' } });
+    const limiter = new RateLimiter(config, { redis: fakeRedis() });
+
+    expect(limiter).toMatchObject({ enabled: true, maxRequests: 5 });
+  });
+
+  it('does not read the environment itself', () => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    const limiter = new RateLimiter(settings({ enabled: true, maxRequests: 3 }), { redis: fakeRedis() });
+
+    expect(limiter.enabled).toBe(true);
+  });
+
+  it('returns a rate_limited decision once the window is full', async () => {
+    const limiter = new RateLimiter(settings({ maxRequests: 3, windowMs: 60000 }), { redis: fakeRedis([0, 3, 1500]) });
+
+    await expect(limiter.check('c1')).resolves.toMatchObject({ decision: 'rate_limited', retry_after: 2, retry_after_ms: 1500 });
+  });
+
+  it('uncounts accepted messages with skipSuccessfulRequests', async () => {
+    const redis = fakeRedis();
+    const limiter = new RateLimiter(settings({ skipSuccessfulRequests: true }), { redis });
+
+    const { token } = await limiter.consume('c1');
+    await limiter.succeeded('c1', token);
+
+    expect(redis.zrem).toHaveBeenCalledWith('smart-buffer:ratelimit:c1', token);
+  });
+
+  it('keeps counting accepted messages otherwise', async () => {
+    const redis = fakeRedis();
+    const limiter = new RateLimiter(settings({}), { redis });
+
+    const { token } = await limiter.consume('c1');
+    await limiter.succeeded('c1', token);
+
+    expect(redis.zrem).not.toHaveBeenCalled();
+  });
+});
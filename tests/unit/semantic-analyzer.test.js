@@ -0,0 +1,105 @@
+const { SemanticAnalyzer } = require('../../nodes/semantic-analyzer.js');
+const medicalConfig = require('../../medical_config.js');
+
+describe('SemanticAnalyzer', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new SemanticAnalyzer(medicalConfig);
+  });
+
+  describe('fragments', () => {
+    it('buffers a lone fragment word', () => {
+      expect(analyzer.needsBuffering('quiero', 'es')).toBe(true);
+      expect(analyzer.needsBuffering('turno', 'es')).toBe(true);
+    });
+
+    it('buffers text that ends mid-sentence', () => {
+      expect(analyzer.needsBuffering('necesito un turno para...', 'es')).toBe(true);
+      expect(analyzer.needsBuffering('necesito un turno,', 'es')).toBe(true);
+    });
+
+    it('does not buffer a full request', () => {
+      expect(analyzer.needsBuffering('Necesito un turno para cardiología mañana a las 10:30.', 'es')).toBe(false);
+    });
+  });
+
+  describe('completeness', () => {
+    it('treats questions and finished sentences as complete', () => {
+      expect(analyzer.isComplete('¿Tienen turno mañana?', 'es')).toBe(true);
+      expect(analyzer.isComplete('Necesito un turno para cardiología.', 'es')).toBe(true);
+    });
+
+    it('treats fragments and trailing connectors as incomplete', () => {
+      expect(analyzer.isComplete('quiero', 'es')).toBe(false);
+      expect(analyzer.isComplete('necesito un turno para...', 'es')).toBe(false);
+      expect(analyzer.isComplete('', 'es')).toBe(false);
+    });
+  });
+
+  describe('intent', () => {
+    it('detects intents from the configured patterns', () => {
+      expect(analyzer.detectIntent('necesito un turno', 'es')).toBe('appointment');
+      expect(analyzer.detectIntent('quiero reprogramar', 'es')).toBe('modification');
+      expect(analyzer.detectIntent('me duele la cabeza', 'es')).toBe('medical_query');
+      expect(analyzer.detectIntent('hola', 'es')).toBe('greeting');
+    });
+
+    it('matches intents on normalized text', () => {
+      expect(analyzer.detectIntent('q precio tiene la consulta', 'es')).toBe('information');
+      expect(analyzer.detectIntent('ubicación?', 'es')).toBe('information');
+    });
+
+    it('falls back to general', () => {
+      expect(analyzer.detectIntent('zzz', 'es')).toBe('general');
+    });
+  });
+
+  describe('entities', () => {
+    it('extracts every configured entity type', () => {
+      const entities = analyzer.extractEntities('tengo 45 años, dni 30.123.456, osde, cardiología el 12/03/2026 a las 10:30', 'es');
+
+      expect(entities).toMatchObject({
+        age: ['45 años'],
+        dni: ['30.123.456'],
+        insurance: ['osde'],
+        date: ['12/03/2026'],
+        time: ['10:30']
+      });
+      expect(entities.specialties).toHaveLength(1);
+    });
+
+    it('returns empty lists when nothing matches', () => {
+      const entities = analyzer.extractEntities('hola', 'es');
+
+      expect(Object.values(entities).every(values => values.length === 0)).toBe(true);
+    });
+  });
+
+  describe('analyze', () => {
+    it('combines the checks for one message', () => {
+      const analysis = analyzer.analyze({ chatId: 'c1', text: 'Necesito un turno para cardiología mañana a las 10:30.' });
+
+      expect(analysis).toMatchObject({
+        normalized_text: 'necesito un turno para cardiologia mañana a las 10:30.',
+        needs_buffering: false,
+        is_complete: true,
+        intent: 'appointment',
+        language: 'es',
+        confidence: 0.9
+      });
+      expect(analysis.entities.time).toEqual(['10:30']);
+      expect(analysis.resolved_entities.map(entity => entity.type)).toEqual(expect.arrayContaining(['specialties', 'date', 'time', 'datetime']));
+    });
+
+    it('applies the pack of the detected language', () => {
+      const analysis = analyzer.analyze({ chatId: 'c2', text: 'I need an appointment tomorrow please.' });
+
+      expect(analysis).toMatchObject({ language: 'en', pattern_locale: 'en', intent: 'appointment', is_complete: true });
+    });
+
+    it('accepts plain text', () => {
+      expect(analyzer.analyze('quiero')).toMatchObject({ needs_buffering: true, is_complete: false, confidence: 0.6 });
+    });
+  });
+});
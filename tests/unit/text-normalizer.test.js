@@ -0,0 +1,39 @@
+const { TextNormalizer } = require('../../nodes/text-normalizer.js');
+const medicalConfig = require('../../medical_config.js');
+
+describe('TextNormalizer', () => {
+  const normalizer = new TextNormalizer(medicalConfig);
+  normalizer.learn('es', [/turno|cita|horario|tiene|reservar|cambiar|cancelar|agenda/i]);
+
+  const normalize = text => normalizer.normalize(text, 'es');
+
+  it('folds accents, expands shorthand and collapses repeats', () => {
+    expect(normalize('Holaaaa q tal, ubicación xfa')).toBe('hola que tal, ubicacion por favor');
+  });
+
+  it('keeps ñ', () => {
+    expect(normalize('Mañana')).toBe('mañana');
+  });
+
+  it('maps listed emojis and strips the rest', () => {
+    expect(normalize('dale 👍🎉')).toBe('dale ok');
+  });
+
+  it('corrects typos of pattern keywords', () => {
+    expect(normalize('necesito un tunro')).toBe('necesito un turno');
+    expect(normalize('quiero cancelr')).toBe('quiero cancelar');
+    expect(normalize('turnp')).toBe('turno');
+  });
+
+  it('leaves valid inflected words alone', () => {
+    expect(normalize('q horario tienen el sábado?')).toBe('que horario tienen el sabado?');
+    expect(normalize('reservan los sabados')).toBe('reservan los sabados');
+    expect(normalize('cambian el turno')).toBe('cambian el turno');
+    expect(normalize('turnos y agendas')).toBe('turnos y agendas');
+  });
+
+  it('leaves words in the keep list and other first letters alone', () => {
+    expect(normalize('saludos')).toBe('saludos');
+    expect(normalize('ratno')).toBe('ratno');
+  });
+});
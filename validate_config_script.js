@@ -161,13 +161,20 @@ class ConfigValidator {
   async validateConfiguration() {
     log('\n⚙️ Validating Configuration Files...', 'blue');
     
-    const industryConfig = process.env.INDUSTRY_CONFIG || 'medical';
-    const configPath = path.join(process.cwd(), 'config', `${industryConfig}-config.js`);
-    
+    const { resolveConfigPath, loadConfig } = require('./nodes/config-loader.js');
+    let configPath;
+
+    try {
+      configPath = resolveConfigPath().file;
+    } catch (error) {
+      this.check(false, '', error.message);
+      return;
+    }
+
     // Check config file exists
     this.check(
       fs.existsSync(configPath),
-      `Configuration file found: ${industryConfig}-config.js`,
+      `Configuration file found: ${path.basename(configPath)}`,
       `Configuration file not found: ${configPath}`
     );
 
@@ -176,8 +183,8 @@ class ConfigValidator {
     }
 
     try {
-      // Load and validate configuration
-      const config = require(configPath);
+      // Load the preset with env overrides applied, then validate the result
+      const { config } = loadConfig();
       
       // Check main sections
       const requiredSections = [
@@ -265,6 +272,41 @@ class ConfigValidator {
         );
       }
 
+      // Validate alert trigger conditions
+      if (config.metrics && config.metrics.alerts && Array.isArray(config.metrics.alerts.triggers)) {
+        const { compileCondition } = require('./nodes/alert-engine.js');
+
+        config.metrics.alerts.triggers.forEach(trigger => {
+          let conditionError = null;
+          try {
+            compileCondition(trigger.condition);
+          } catch (error) {
+            conditionError = error.message;
+          }
+
+          this.check(
+            !conditionError,
+            `Alert trigger '${trigger.name}' condition is valid`,
+            `Alert trigger '${trigger.name}': ${conditionError}`
+          );
+        });
+      }
+
+      // Enforce validation.required and validation.rules
+      if (config.validation) {
+        const { validateConfig } = require('./nodes/config-rules.js');
+        const violations = validateConfig(config);
+        const ruleCount = (config.validation.required || []).length + Object.keys(config.validation.rules || {}).length;
+
+        if (violations.length === 0) {
+          this.check(true, `Configuration satisfies all ${ruleCount} validation rules`, '');
+        }
+
+        violations.forEach(violation => {
+          this.check(false, '', `Config '${violation.path}' ${violation.message}`);
+        });
+      }
+
     } catch (error) {
       this.check(
         false,
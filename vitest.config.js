@@ -0,0 +1,13 @@
+/**
+ * 🧪 N8N Smart Buffer - Test Configuration
+ * Test files are CommonJS like the rest of the repo, so vitest's API comes
+ * from globals instead of `require('vitest')`
+ */
+
+module.exports = {
+  test: {
+    globals: true,
+    environment: 'node',
+    include: ['tests/**/*.test.js']
+  }
+};